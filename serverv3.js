@@ -15,6 +15,8 @@ import { google } from "googleapis";
 import { authenticate } from "@google-cloud/local-auth";
 import fs from "fs/promises";
 import path from "path";
+import crypto from "crypto";
+import { Readable } from "stream";
 import { fileURLToPath } from "url";
 
 const __filename = fileURLToPath(import.meta.url);
@@ -23,901 +25,5388 @@ const __dirname = path.dirname(__filename);
 // RUTAS CORRECTAS - Se guardan en la carpeta del proyecto
 const TOKEN_PATH = path.join(__dirname, "token.json");
 const CREDENTIALS_PATH = path.join(__dirname, "credentials.json");
+const DOWNLOADS_DIR = process.env.GMAIL_DOWNLOADS_DIR || path.join(__dirname, "downloads");
+// Única carpeta desde la que se pueden adjuntar archivos locales con 'path'
+const ATTACHMENTS_DIR = process.env.GMAIL_ATTACHMENTS_DIR || path.join(__dirname, "attachments");
+// Zona horaria fija (ej: "Europe/Madrid"); si no se define se usa la del calendario del usuario
+const TIME_ZONE_OVERRIDE = process.env.CALENDAR_TIME_ZONE;
+// Estado local del servidor (historial de Gmail, etc.)
+const DATA_DIR = process.env.MCP_DATA_DIR || path.join(__dirname, "data");
+const GMAIL_HISTORY_STATE_PATH = path.join(DATA_DIR, "gmail-history.json");
+const OUTBOX_DIR = path.join(DATA_DIR, "outbox");
+const OUTBOX_INDEX_PATH = path.join(OUTBOX_DIR, "index.json");
+const TEMPLATES_PATH = path.join(DATA_DIR, "templates.json");
 
 // Scopes for Gmail, Calendar, and Docs
 const SCOPES = [
     "https://www.googleapis.com/auth/gmail.modify",
+    "https://www.googleapis.com/auth/gmail.settings.basic", // Filtros y respuesta automática
     "https://www.googleapis.com/auth/calendar",
     "https://www.googleapis.com/auth/documents",
     "https://www.googleapis.com/auth/drive.readonly",
+    "https://www.googleapis.com/auth/drive.file", // Para subir adjuntos a Drive
+    "https://www.googleapis.com/auth/spreadsheets.readonly", // Destinatarios de combinación de correspondencia
     // 🆕 SCOPES DE GOOGLE FIT
     "https://www.googleapis.com/auth/fitness.activity.read", // Para leer datos agregados
     "https://www.googleapis.com/auth/fitness.activity.write", // Para registrar sesiones
 ];
 
-class GoogleWorkspaceMCPServer {
-    constructor() {
-        this.server = new Server(
-            {
-                name: "google-workspace-mcp",
-                version: "1.0.0",
-            },
-            {
-                capabilities: {
-                    tools: {},
-                },
-            }
-        );
+// Límites de la API de Gmail
+const GMAIL_MAX_PAGE_SIZE = 500; // Máximo permitido por users.messages.list
+const GMAIL_FETCH_CONCURRENCY = 5; // Peticiones simultáneas de metadatos para no agotar la cuota
+const GMAIL_BATCH_MODIFY_SIZE = 1000; // Máximo de IDs por users.messages.batchModify
+const GMAIL_BULK_DEFAULT_LIMIT = 5000; // Tope por defecto de mensajes en operaciones masivas
+const GMAIL_MAX_ATTACHMENTS_SIZE = 25 * 1024 * 1024; // Límite de Gmail para adjuntos (25 MB)
+const GMAIL_RAW_UPLOAD_LIMIT = 5 * 1024 * 1024; // Por encima de esto se sube el mensaje como media
+const MAX_TEXT_ATTACHMENT_CHARS = 100000; // Texto máximo devuelto al leer un adjunto
+const OUTBOX_POLL_INTERVAL = 30 * 1000; // Cada cuánto se revisan los envíos programados
+const OUTBOX_MAX_ATTEMPTS = 3; // Reintentos antes de marcar un envío programado como fallido
+const MAIL_MERGE_MAX_ROWS = 500; // Límite diario de envío de una cuenta de Gmail
+const UNSUBSCRIBE_TIMEOUT = 10 * 1000; // Tiempo máximo de la petición de baja one-click
+const UNSUBSCRIBE_SCAN_MESSAGES = 10; // Emails recientes de un remitente en los que se busca List-Unsubscribe
+const DEFAULT_FOLLOW_UP_MESSAGE = "Hola,\n\nTe escribo para hacer seguimiento de mi mensaje anterior. ¿Pudiste revisarlo?\n\nQuedo atento a tus comentarios. ¡Gracias!";
 
-        this.auth = null;
-        this.gmail = null;
-        this.calendar = null;
-        this.docs = null;
-        this.drive = null;
+// Límites de la API de Calendar
+const CALENDAR_FETCH_CONCURRENCY = 5; // Calendarios consultados a la vez
+const FREEBUSY_MAX_ITEMS = 50; // Calendarios por consulta de freebusy.query
 
-        this.setupHandlers();
+// Tipos MIME por extensión para los adjuntos
+const MIME_TYPES = {
+    ".pdf": "application/pdf",
+    ".doc": "application/msword",
+    ".docx": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+    ".xls": "application/vnd.ms-excel",
+    ".xlsx": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    ".ppt": "application/vnd.ms-powerpoint",
+    ".pptx": "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+    ".odt": "application/vnd.oasis.opendocument.text",
+    ".ods": "application/vnd.oasis.opendocument.spreadsheet",
+    ".txt": "text/plain",
+    ".csv": "text/csv",
+    ".html": "text/html",
+    ".htm": "text/html",
+    ".md": "text/markdown",
+    ".json": "application/json",
+    ".xml": "application/xml",
+    ".png": "image/png",
+    ".jpg": "image/jpeg",
+    ".jpeg": "image/jpeg",
+    ".gif": "image/gif",
+    ".webp": "image/webp",
+    ".svg": "image/svg+xml",
+    ".mp3": "audio/mpeg",
+    ".mp4": "video/mp4",
+    ".zip": "application/zip",
+    ".gz": "application/gzip",
+    ".ics": "text/calendar",
+};
+
+// Formato al que se exportan los archivos nativos de Google al adjuntarlos
+const GOOGLE_EXPORT_FORMATS = {
+    "application/vnd.google-apps.document": { mimeType: "application/pdf", extension: ".pdf" },
+    "application/vnd.google-apps.spreadsheet": {
+        mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+        extension: ".xlsx",
+    },
+    "application/vnd.google-apps.presentation": { mimeType: "application/pdf", extension: ".pdf" },
+    "application/vnd.google-apps.drawing": { mimeType: "image/png", extension: ".png" },
+};
+
+// Lee un archivo JSON de estado; si no existe devuelve `fallback`
+async function readJsonFile(filePath, fallback) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, "utf-8"));
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return fallback;
+        }
+        throw error;
     }
+}
 
-    async loadSavedCredentialsIfExist() {
-        try {
-            let content;
-            let keys;
-            
-            // Intentar cargar desde variables de entorno primero
-            if (process.env.GOOGLE_TOKEN) {
-                content = process.env.GOOGLE_TOKEN;
-                const credentials = JSON.parse(content);
-                
-                keys = process.env.GOOGLE_CREDENTIALS 
-                    ? JSON.parse(process.env.GOOGLE_CREDENTIALS)
-                    : JSON.parse(await fs.readFile(CREDENTIALS_PATH));
-                    
-                const key = keys.installed || keys.web;
-                const client = new google.auth.OAuth2(
-                    key.client_id,
-                    key.client_secret,
-                    key.redirect_uris[0]
-                );
+// Escribe a un temporal y renombra para no dejar el archivo a medias
+async function writeJsonFile(filePath, data) {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(data, null, 2));
+    await fs.rename(tmpPath, filePath);
+}
 
-                client.setCredentials({
-                    refresh_token: credentials.refresh_token,
-                    access_token: credentials.access_token,
-                    token_type: credentials.token_type,
-                    expiry_date: credentials.expiry_date,
-                });
+/**
+ * Aplica una función asíncrona a cada elemento limitando cuántas se ejecutan a la vez.
+ * Mantiene el orden de los resultados.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
 
-                console.error("✅ Token cargado desde variables de entorno");
-                return client;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+}
+
+// Filtros estructurados de búsqueda, compartidos por las herramientas que buscan emails
+const GMAIL_SEARCH_PROPERTIES = {
+    from: {
+        type: "string",
+        description: "Remitente (email o nombre)",
+    },
+    to: {
+        type: "string",
+        description: "Destinatario (email o nombre)",
+    },
+    subject: {
+        type: "string",
+        description: "Texto que debe aparecer en el asunto",
+    },
+    hasAttachment: {
+        type: "boolean",
+        description: "true: solo con adjuntos; false: solo sin adjuntos",
+    },
+    label: {
+        type: "string",
+        description: "Nombre de la etiqueta (ej: 'Clientes/Acme')",
+    },
+    after: {
+        type: "string",
+        description: "Recibidos desde esta fecha (ISO 8601, ej: '2025-03-01' o '2025-03-01T09:00:00-03:00')",
+    },
+    before: {
+        type: "string",
+        description: "Recibidos antes de esta fecha (ISO 8601)",
+    },
+    largerThan: {
+        type: "string",
+        description: "Tamaño mínimo (ej: '5M', '500K' o bytes)",
+    },
+    unread: {
+        type: "boolean",
+        description: "true: solo no leídos; false: solo leídos",
+    },
+};
+
+// Entrecomilla un valor de búsqueda si contiene espacios o caracteres especiales
+function quoteSearchValue(value) {
+    const clean = String(value).replace(/"/g, "").trim();
+    return /[\s(){}:]/.test(clean) ? `"${clean}"` : clean;
+}
+
+// Convierte una fecha ISO al formato de Gmail: las fechas sin hora quedan como AAAA/MM/DD
+// y las que tienen hora como segundos de época, que Gmail acepta con precisión
+function formatSearchDate(value, field) {
+    const dateOnly = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (dateOnly) {
+        return `${dateOnly[1]}/${dateOnly[2]}/${dateOnly[3]}`;
+    }
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time)) {
+        throw new Error(`Fecha inválida en '${field}': ${value}`);
+    }
+    return String(Math.floor(time / 1000));
+}
+
+/**
+ * Compila los filtros estructurados en una expresión `q` de Gmail y la
+ * combina con la búsqueda libre `query`, si la hay.
+ */
+function buildGmailQuery({ query, from, to, subject, hasAttachment, label, after, before, largerThan, unread }) {
+    const terms = [];
+    if (from) terms.push(`from:${quoteSearchValue(from)}`);
+    if (to) terms.push(`to:${quoteSearchValue(to)}`);
+    if (subject) terms.push(`subject:${quoteSearchValue(subject)}`);
+    if (hasAttachment === true) terms.push("has:attachment");
+    if (hasAttachment === false) terms.push("-has:attachment");
+    if (label) terms.push(`label:${String(label).trim().replace(/[\s/]+/g, "-")}`);
+    if (after) terms.push(`after:${formatSearchDate(after, "after")}`);
+    if (before) terms.push(`before:${formatSearchDate(before, "before")}`);
+    if (largerThan !== undefined && largerThan !== "") {
+        const size = String(largerThan).trim().toUpperCase();
+        if (!/^\d+[KM]?$/.test(size)) {
+            throw new Error(`Tamaño inválido en 'largerThan': ${largerThan}`);
+        }
+        terms.push(`larger:${size}`);
+    }
+    if (unread === true) terms.push("is:unread");
+    if (unread === false) terms.push("is:read");
+    if (query && query.trim()) terms.push(query.trim());
+    return terms.join(" ");
+}
+
+// Cambios de etiquetas equivalentes a las acciones habituales del buzón.
+// trash/untrash usan endpoints propios y se tratan aparte.
+const MAILBOX_ACTIONS = {
+    archive: { removeLabelIds: ["INBOX"] },
+    move_to_inbox: { addLabelIds: ["INBOX"] },
+    mark_read: { removeLabelIds: ["UNREAD"] },
+    mark_unread: { addLabelIds: ["UNREAD"] },
+    star: { addLabelIds: ["STARRED"] },
+    unstar: { removeLabelIds: ["STARRED"] },
+    trash: { trash: true },
+    untrash: { untrash: true },
+};
+
+// Cabeceras que se devuelven aplanadas al leer un email
+const GMAIL_KEY_HEADERS = ["From", "To", "Cc", "Bcc", "Reply-To", "Subject", "Date", "Message-ID"];
+
+// Entidades HTML habituales que no son numéricas
+const HTML_ENTITIES = {
+    nbsp: " ",
+    amp: "&",
+    lt: "<",
+    gt: ">",
+    quot: '"',
+    apos: "'",
+    iexcl: "¡",
+    iquest: "¿",
+    aacute: "á",
+    eacute: "é",
+    iacute: "í",
+    oacute: "ó",
+    uacute: "ú",
+    Aacute: "Á",
+    Eacute: "É",
+    Iacute: "Í",
+    Oacute: "Ó",
+    Uacute: "Ú",
+    ntilde: "ñ",
+    Ntilde: "Ñ",
+    uuml: "ü",
+    Uuml: "Ü",
+    ordm: "º",
+    ordf: "ª",
+    euro: "€",
+    copy: "©",
+    reg: "®",
+    hellip: "…",
+    mdash: "—",
+    ndash: "–",
+    laquo: "«",
+    raquo: "»",
+    lsquo: "‘",
+    rsquo: "’",
+    ldquo: "“",
+    rdquo: "”",
+    bull: "•",
+};
+
+// Decodifica el base64url que usa la API de Gmail
+function decodeBase64Url(data) {
+    return Buffer.from(data.replace(/-/g, "+").replace(/_/g, "/"), "base64");
+}
+
+// Busca una cabecera sin distinguir mayúsculas/minúsculas
+function getHeader(headers, name) {
+    const header = (headers || []).find((h) => h.name.toLowerCase() === name.toLowerCase());
+    return header ? header.value : undefined;
+}
+
+// Convierte los bytes de una parte MIME a texto respetando su charset
+function decodeCharset(buffer, charset = "utf-8") {
+    try {
+        return new TextDecoder(charset.trim().toLowerCase()).decode(buffer);
+    } catch (error) {
+        // Charset desconocido: UTF-8 es la opción más probable
+        return new TextDecoder("utf-8").decode(buffer);
+    }
+}
+
+function decodeHtmlEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+        if (entity[0] === "#") {
+            const code = entity[1].toLowerCase() === "x"
+                ? parseInt(entity.slice(2), 16)
+                : parseInt(entity.slice(1), 10);
+            // Códigos fuera de Unicode se dejan tal cual: fromCodePoint lanzaría RangeError
+            return Number.isNaN(code) || code > 0x10ffff ? match : String.fromCodePoint(code);
+        }
+        return HTML_ENTITIES[entity] ?? match;
+    });
+}
+
+/**
+ * Convierte HTML a texto legible: elimina estilos y scripts, respeta saltos de
+ * bloque, conserva las URLs de los enlaces y decodifica entidades.
+ */
+function htmlToText(html) {
+    const text = html
+        .replace(/<(head|style|script|title)[^>]*>[\s\S]*?<\/\1>/gi, "")
+        .replace(/<!--[\s\S]*?-->/g, "")
+        .replace(/<a\s[^>]*href=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/gi, (match, href, label) => {
+            const labelText = label.replace(/<[^>]+>/g, "").trim();
+            if (!labelText || href.startsWith("mailto:") || labelText === href) {
+                return labelText || href;
             }
-            
-            // Si no hay variables de entorno, cargar desde archivos
-            content = await fs.readFile(TOKEN_PATH);
-            const credentials = JSON.parse(content);
+            return `${labelText} (${href})`;
+        })
+        .replace(/<br\s*\/?>/gi, "\n")
+        .replace(/<li[^>]*>/gi, "\n• ")
+        .replace(/<\/(p|div|tr|h[1-6]|ul|ol|table|blockquote)>/gi, "\n")
+        .replace(/<(p|div|tr|h[1-6]|blockquote)[^>]*>/gi, "\n")
+        .replace(/<\/t[dh]>/gi, "\t")
+        .replace(/<[^>]+>/g, "");
 
-            // Leer las credenciales originales para obtener client_id y client_secret
-            keys = JSON.parse(await fs.readFile(CREDENTIALS_PATH));
-            const key = keys.installed || keys.web;
+    return decodeHtmlEntities(text)
+        .replace(/\r/g, "")
+        .replace(/[ \t\u00a0]+/g, " ")
+        .replace(/ *\n */g, "\n")
+        .replace(/\n{3,}/g, "\n\n")
+        .trim();
+}
 
-            // Crear OAuth2Client con las credenciales correctas
-            const client = new google.auth.OAuth2(
-                key.client_id,
-                key.client_secret,
-                key.redirect_uris[0]
-            );
+/**
+ * Recorre el árbol MIME de un mensaje de Gmail y separa las partes de texto
+ * de los adjuntos.
+ */
+function walkMimeParts(payload) {
+    const plain = [];
+    const html = [];
+    const attachments = [];
 
-            // Establecer las credenciales guardadas
-            client.setCredentials({
-                refresh_token: credentials.refresh_token,
-                access_token: credentials.access_token,
-                token_type: credentials.token_type,
-                expiry_date: credentials.expiry_date,
+    const visit = (part) => {
+        if (!part) return;
+
+        if (part.parts && part.parts.length > 0) {
+            part.parts.forEach(visit);
+            return;
+        }
+
+        const mimeType = (part.mimeType || "").toLowerCase();
+        const disposition = getHeader(part.headers, "Content-Disposition") || "";
+        const isAttachment = Boolean(part.filename) || /^attachment/i.test(disposition);
+
+        if (isAttachment) {
+            attachments.push({
+                filename: part.filename || "(sin nombre)",
+                mimeType: part.mimeType,
+                size: part.body ? part.body.size : 0,
+                attachmentId: part.body ? part.body.attachmentId : undefined,
+                partId: part.partId,
             });
+            return;
+        }
 
-            console.error("✅ Token cargado desde archivo");
-            return client;
-        } catch (err) {
-            console.error("ℹ️ No se encontró token guardado, se requiere autenticación");
-            return null;
+        if (!part.body || !part.body.data) return;
+
+        const contentType = getHeader(part.headers, "Content-Type") || "";
+        const charsetMatch = contentType.match(/charset="?([^";\s]+)"?/i);
+        const text = decodeCharset(decodeBase64Url(part.body.data), charsetMatch ? charsetMatch[1] : undefined);
+
+        if (mimeType === "text/plain") {
+            plain.push(text);
+        } else if (mimeType === "text/html") {
+            html.push(text);
         }
+    };
+
+    visit(payload);
+    return { plain, html, attachments };
+}
+
+// Devuelve la primera parte hoja del árbol MIME que cumple el predicado
+function findMimePart(payload, predicate) {
+    if (!payload) return null;
+    if (payload.parts && payload.parts.length > 0) {
+        for (const part of payload.parts) {
+            const found = findMimePart(part, predicate);
+            if (found) return found;
+        }
+        return null;
     }
+    return predicate(payload) ? payload : null;
+}
 
-    async saveCredentials(client) {
-        const content = await fs.readFile(CREDENTIALS_PATH);
-        const keys = JSON.parse(content);
-        const key = keys.installed || keys.web;
+// Separa una lista de direcciones respetando comas dentro de comillas o <...>
+function splitAddressList(value) {
+    if (!value) return [];
+    const addresses = [];
+    let current = "";
+    let inQuotes = false;
+    let inAngle = false;
 
-        const payload = JSON.stringify({
-            type: "authorized_user",
-            client_id: key.client_id,
-            client_secret: key.client_secret,
-            refresh_token: client.credentials.refresh_token,
-            access_token: client.credentials.access_token,
-            token_type: client.credentials.token_type,
-            expiry_date: client.credentials.expiry_date,
-        });
+    for (const char of value) {
+        if (char === '"') inQuotes = !inQuotes;
+        if (!inQuotes && char === "<") inAngle = true;
+        if (!inQuotes && char === ">") inAngle = false;
 
-        await fs.writeFile(TOKEN_PATH, payload);
-        console.error("✅ Credenciales guardadas exitosamente");
+        if (char === "," && !inQuotes && !inAngle) {
+            if (current.trim()) addresses.push(current.trim());
+            current = "";
+        } else {
+            current += char;
+        }
     }
+    if (current.trim()) addresses.push(current.trim());
+    return addresses;
+}
 
-    async ensureValidToken() {
-        if (!this.auth || !this.auth.credentials) {
-            throw new Error("No hay autenticación disponible");
+// Extrae la dirección de "Nombre <correo@dominio>" en minúsculas
+function extractEmail(address) {
+    const match = address.match(/<([^>]+)>/);
+    return (match ? match[1] : address).trim().replace(/^"|"$/g, "").toLowerCase();
+}
+
+/**
+ * Direcciones de una cabecera de un email recibido (To, Cc, Reply-To). Admite
+ * grupos de RFC 5322 ("Equipo: a@x.com, b@x.com;") y descarta los vacíos
+ * ("undisclosed-recipients:;") y las entradas sin un email válido.
+ */
+function parseHeaderAddresses(value) {
+    if (!value) return [];
+    let flattened = "";
+    let inQuotes = false;
+    let inAngle = false;
+
+    for (const char of value) {
+        if (char === '"') inQuotes = !inQuotes;
+        if (!inQuotes && char === "<") inAngle = true;
+        if (!inQuotes && char === ">") inAngle = false;
+
+        if (!inQuotes && !inAngle && char === ":") {
+            // Se descarta el nombre del grupo
+            flattened = flattened.slice(0, flattened.lastIndexOf(",") + 1);
+        } else if (!inQuotes && !inAngle && char === ";") {
+            flattened += ",";
+        } else {
+            flattened += char;
         }
+    }
 
-        const now = new Date().getTime();
-        const expiry = this.auth.credentials.expiry_date;
+    return splitAddressList(flattened).filter((address) => EMAIL_PATTERN.test(extractEmail(address)));
+}
 
-        // Si no hay expiry_date o el token expiró, renovarlo
-        if (!expiry || expiry <= now) {
-            console.error("🔄 Token expirado, renovando...");
-            try {
-                const { credentials } = await this.auth.refreshAccessToken();
-                this.auth.setCredentials(credentials);
-                await this.saveCredentials(this.auth);
-                console.error("✅ Token renovado exitosamente");
-            } catch (error) {
-                console.error("❌ Error al renovar token:", error.message);
-                console.error("⚠️ Necesitas volver a autenticarte. Borra token.json y reinicia.");
-                throw new Error("Token inválido, se requiere re-autenticación");
-            }
-        } else if (expiry - now < 5 * 60 * 1000) {
-            // Si expira en menos de 5 minutos, renovarlo preventivamente
-            console.error("🔄 Token por expirar, renovando preventivamente...");
-            try {
-                const { credentials } = await this.auth.refreshAccessToken();
-                this.auth.setCredentials(credentials);
-                await this.saveCredentials(this.auth);
-                console.error("✅ Token renovado preventivamente");
-            } catch (error) {
-                console.error("⚠️ Error al renovar token preventivamente:", error.message);
+// Añade el prefijo (Re:/Fwd:) salvo que el asunto ya lo tenga
+function prefixSubject(prefix, subject = "") {
+    const pattern = new RegExp(`^${prefix}:`, "i");
+    return pattern.test(subject.trim()) ? subject : `${prefix}: ${subject}`;
+}
+
+// Cita un texto con "> " al estilo de las respuestas de correo
+function quoteText(text) {
+    return text.split("\n").map((line) => (line.startsWith(">") ? `>${line}` : `> ${line}`)).join("\n");
+}
+
+// Líneas que marcan el inicio del mensaje citado en respuestas y reenvíos
+const QUOTE_HEADER_PATTERNS = [
+    /^El .+ escribió:\s*$/i,
+    /^On .+ wrote:\s*$/i,
+    /^Le .+ a écrit\s*:\s*$/i,
+    /^Em .+ escreveu:\s*$/i,
+    /^-{2,}\s*(Original Message|Mensaje original|Forwarded message|Mensaje reenviado)\s*-{2,}/i,
+    /^_{10,}\s*$/,
+    /^(De|From):\s.+$/,
+];
+
+// Líneas que marcan el inicio de una firma
+const SIGNATURE_PATTERNS = [
+    /^--\s*$/,
+    /^(Enviado desde|Sent from) (mi|my) /i,
+    /^Get Outlook for /i,
+];
+
+/**
+ * Deja solo el texto nuevo de un mensaje: corta en la cabecera de la cita
+ * ("El ... escribió:", "On ... wrote:", bloques de Outlook), descarta las
+ * líneas citadas con ">" y elimina la firma.
+ */
+function stripQuotedReply(text) {
+    const lines = text.replace(/\r\n/g, "\n").split("\n");
+    const kept = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i].trim();
+
+        // Gmail parte a veces "El ... escribió:" en dos líneas
+        const joined = i + 1 < lines.length ? `${line} ${lines[i + 1].trim()}` : line;
+        if (QUOTE_HEADER_PATTERNS.some((pattern) => pattern.test(line) || pattern.test(joined))) {
+            // Un "De:" aislado en el cuerpo solo es cabecera si le sigue otra ("Enviado:", "Sent:", "Para:"...)
+            if (/^(De|From):/.test(line) && !/^(Enviado|Sent|Fecha|Date|Para|To):/i.test((lines[i + 1] || "").trim())) {
+                kept.push(lines[i]);
+                continue;
             }
+            break;
+        }
+        if (SIGNATURE_PATTERNS.some((pattern) => pattern.test(line))) {
+            break;
+        }
+        if (line.startsWith(">")) {
+            continue;
         }
+        kept.push(lines[i]);
     }
 
-    async authorize() {
-        let client = await this.loadSavedCredentialsIfExist();
-        if (client) {
-            // Verificar que el token sea válido
-            try {
-                await client.getAccessToken();
-                return client;
-            } catch (error) {
-                console.error("⚠️ Token guardado inválido, requiere re-autenticación");
-                client = null;
+    return kept.join("\n").replace(/\n{3,}/g, "\n\n").trim();
+}
+
+/**
+ * Parsea un CSV con cabecera y devuelve un objeto por fila. Soporta campos
+ * entre comillas, comillas escapadas ("") y saltos de línea dentro de campos.
+ * El separador (',' o ';') se detecta en la primera línea.
+ */
+function parseCsv(content) {
+    const text = content.replace(/^\uFEFF/, "");
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ";" : ",";
+
+    const rows = [];
+    let row = [];
+    let field = "";
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
             }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[i + 1] === "\n") i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = "";
+        } else {
+            field += char;
         }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
 
-        // Si no hay cliente válido, autenticar desde cero
-        client = await authenticate({
-            scopes: SCOPES,
-            keyfilePath: CREDENTIALS_PATH,
-        });
+    return rowsToObjects(rows.filter((r) => r.some((value) => value.trim() !== "")));
+}
 
-        if (client.credentials) {
-            await this.saveCredentials(client);
+// Convierte filas (la primera es la cabecera) en objetos
+function rowsToObjects(rows) {
+    if (rows.length === 0) return [];
+    const [header, ...data] = rows;
+    const keys = header.map((key) => String(key).trim());
+    return data.map((values) =>
+        Object.fromEntries(keys.map((key, index) => [key, values[index] !== undefined ? String(values[index]).trim() : ""]))
+    );
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+/**
+ * Sustituye los {{marcadores}} de una plantilla. Los nombres no distinguen
+ * mayúsculas. Los marcadores sin columna se acumulan en `missing`.
+ */
+function renderTemplate(template, variables, { html = false, missing = new Set() } = {}) {
+    if (!template) return template;
+    const lookup = Object.fromEntries(Object.entries(variables).map(([key, value]) => [key.toLowerCase(), value]));
+
+    return template.replace(/\{\{\s*([\w.\-]+)\s*\}\}/g, (match, key) => {
+        const value = lookup[key.toLowerCase()];
+        if (value === undefined) {
+            missing.add(key);
+            return "";
         }
+        return html ? escapeHtml(value) : value;
+    });
+}
 
-        return client;
+/**
+ * Interpreta la cabecera List-Unsubscribe ("<mailto:...>, <https://...>").
+ * Devuelve la primera URL https y el primer mailto encontrados.
+ */
+function parseListUnsubscribe(value) {
+    const result = { http: null, mailto: null };
+    for (const match of (value || "").matchAll(/<([^>]+)>/g)) {
+        const target = match[1].trim();
+        if (!result.mailto && /^mailto:/i.test(target)) {
+            result.mailto = target;
+        } else if (!result.http && /^https?:/i.test(target)) {
+            result.http = target;
+        }
     }
+    return result;
+}
 
-    async initialize() {
-        try {
-            this.auth = await this.authorize();
-            this.gmail = google.gmail({ version: "v1", auth: this.auth });
-            this.calendar = google.calendar({ version: "v3", auth: this.auth });
-            this.docs = google.docs({ version: "v1", auth: this.auth });
-            this.drive = google.drive({ version: "v3", auth: this.auth });
-            // 🆕 INICIALIZACIÓN DE GOOGLE FIT
-            this.fit = google.fitness({ version: "v1", auth: this.auth });
-            console.error("✅ Autenticación exitosa - Servidor listo");
-        } catch (error) {
-            console.error("❌ Error durante la autenticación:", error.message);
-            throw error;
+// Mediana de una lista de números (null si está vacía)
+function median(values) {
+    if (values.length === 0) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Milisegundos a horas con un decimal
+function toHours(ms) {
+    return ms === null ? null : Math.round(ms / 360000) / 10;
+}
+
+function isTextMimeType(mimeType = "") {
+    return mimeType.startsWith("text/")
+        || ["application/json", "application/xml", "application/javascript", "application/x-yaml"].includes(mimeType);
+}
+
+/**
+ * Transforma un mensaje en formato "full" en una representación compacta:
+ * cabeceras clave, cuerpo en texto plano y lista de adjuntos.
+ */
+function parseGmailMessage(message) {
+    const payload = message.payload || {};
+    const headers = {};
+    for (const name of GMAIL_KEY_HEADERS) {
+        const value = getHeader(payload.headers, name);
+        if (value !== undefined) {
+            headers[name.toLowerCase()] = value;
         }
     }
 
-    setupHandlers() {
-        this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
-            tools: [
-                // Gmail Tools
-                {
-                    name: "gmail_list_messages",
-                    description: "Lista tus emails recientes con filtros opcionales",
+    const { plain, html, attachments } = walkMimeParts(payload);
+    const body = plain.length > 0
+        ? plain.join("\n\n").replace(/\r\n/g, "\n").trim()
+        : htmlToText(html.join("\n"));
+
+    return {
+        id: message.id,
+        threadId: message.threadId,
+        labelIds: message.labelIds || [],
+        snippet: message.snippet,
+        headers,
+        body,
+        attachments,
+    };
+}
+
+function detectMimeType(filename) {
+    return MIME_TYPES[path.extname(filename || "").toLowerCase()] || "application/octet-stream";
+}
+
+// Codifica en base64url, el formato que espera el campo raw de Gmail
+function encodeBase64Url(data) {
+    return Buffer.from(data)
+        .toString("base64")
+        .replace(/\+/g, "-")
+        .replace(/\//g, "_")
+        .replace(/=+$/, "");
+}
+
+// Base64 partido en líneas de 76 caracteres (RFC 2045)
+function toBase64Lines(buffer) {
+    return buffer.toString("base64").replace(/(.{76})/g, "$1\r\n");
+}
+
+// Parámetro filename de Content-Disposition, con RFC 2231 si no es ASCII
+function formatFilenameParam(filename) {
+    const safe = filename.replace(/["\\\r\n]/g, "_");
+    if (/^[\x20-\x7e]*$/.test(safe)) {
+        return `filename="${safe}"`;
+    }
+    return `filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+function createBoundary() {
+    return `----=_Part_${crypto.randomBytes(12).toString("hex")}`;
+}
+
+/**
+ * Codifica el valor de una cabecera según RFC 2047 si contiene caracteres no
+ * ASCII. Se parte en palabras codificadas de 75 caracteres como máximo sin
+ * cortar caracteres multibyte.
+ */
+function encodeHeaderWord(value) {
+    if (/^[\x20-\x7e]*$/.test(value)) {
+        return value;
+    }
+
+    const words = [];
+    let chunk = "";
+    for (const char of value) {
+        // 45 bytes de UTF-8 producen 60 caracteres en base64, dentro del límite
+        if (Buffer.byteLength(chunk + char, "utf-8") > 45) {
+            words.push(chunk);
+            chunk = "";
+        }
+        chunk += char;
+    }
+    words.push(chunk);
+
+    return words
+        .map((word) => `=?UTF-8?B?${Buffer.from(word, "utf-8").toString("base64")}?=`)
+        .join("\r\n ");
+}
+
+const EMAIL_PATTERN = /^[^\s@<>(),;:"\[\]]+@[^\s@<>(),;:"\[\]]+\.[^\s@<>(),;:"\[\]]+$/;
+
+/**
+ * Normaliza una lista de destinatarios (string separado por comas o array),
+ * valida cada dirección y codifica los nombres visibles.
+ */
+function formatAddressList(value) {
+    const items = Array.isArray(value) ? value.flatMap(splitAddressList) : splitAddressList(value);
+
+    return items.map((item) => {
+        const email = extractEmail(item);
+        if (!EMAIL_PATTERN.test(email)) {
+            throw new Error(`Dirección de email inválida: ${item}`);
+        }
+
+        const nameMatch = item.match(/^(.*?)\s*<[^>]+>$/);
+        const name = nameMatch ? nameMatch[1].trim().replace(/^"|"$/g, "") : "";
+        if (!name) {
+            return email;
+        }
+        if (!/^[\x20-\x7e]*$/.test(name)) {
+            return `${encodeHeaderWord(name)} <${email}>`;
+        }
+        return /[()<>@,;:\\".[\]]/.test(name)
+            ? `"${name.replace(/["\\]/g, "\\$&")}" <${email}>`
+            : `${name} <${email}>`;
+    }).join(", ");
+}
+
+// Parte de texto (plain o html) en UTF-8 y base64
+function buildTextPart(subtype, content) {
+    return [
+        `Content-Type: text/${subtype}; charset=UTF-8`,
+        "Content-Transfer-Encoding: base64",
+        "",
+        toBase64Lines(Buffer.from(content, "utf-8")),
+    ];
+}
+
+/**
+ * Construye un mensaje RFC 822 en UTF-8.
+ * - Con `html` genera un multipart/alternative con una versión de texto
+ *   (la de `body` o, si falta, la convertida desde el HTML).
+ * - Con adjuntos envuelve el cuerpo en un multipart/mixed.
+ * Los adjuntos deben venir resueltos: { filename, mimeType, content: Buffer }.
+ * `headers` permite añadir cabeceras como In-Reply-To o References.
+ */
+function buildMimeMessage({ from, to, cc, bcc, subject, body, html, attachments = [], headers: extraHeaders = {} }) {
+    const headers = [];
+    if (from) {
+        headers.push(`From: ${formatAddressList(from)}`);
+    }
+    const toList = formatAddressList(to);
+    if (!toList) {
+        throw new Error("Se necesita al menos un destinatario");
+    }
+    headers.push(`To: ${toList}`);
+    if (cc && cc.length > 0) {
+        headers.push(`Cc: ${formatAddressList(cc)}`);
+    }
+    if (bcc && bcc.length > 0) {
+        headers.push(`Bcc: ${formatAddressList(bcc)}`);
+    }
+    headers.push(`Subject: ${encodeHeaderWord(subject || "")}`);
+    for (const [name, value] of Object.entries(extraHeaders)) {
+        if (value) {
+            headers.push(`${name}: ${value}`);
+        }
+    }
+    headers.push("MIME-Version: 1.0");
+
+    const text = body ?? (html ? htmlToText(html) : "");
+    let bodyPart;
+    if (html) {
+        const boundary = createBoundary();
+        bodyPart = [
+            `Content-Type: multipart/alternative; boundary="${boundary}"`,
+            "",
+            `--${boundary}`,
+            ...buildTextPart("plain", text),
+            `--${boundary}`,
+            ...buildTextPart("html", html),
+            `--${boundary}--`,
+        ];
+    } else {
+        bodyPart = buildTextPart("plain", text);
+    }
+
+    if (attachments.length === 0) {
+        return [...headers, ...bodyPart].join("\r\n");
+    }
+
+    const boundary = createBoundary();
+    const lines = [
+        ...headers,
+        `Content-Type: multipart/mixed; boundary="${boundary}"`,
+        "",
+        `--${boundary}`,
+        ...bodyPart,
+    ];
+
+    for (const attachment of attachments) {
+        const name = encodeHeaderWord(attachment.filename.replace(/["\\\r\n]/g, "_"));
+        lines.push(
+            `--${boundary}`,
+            `Content-Type: ${attachment.mimeType}; name="${name}"`,
+            `Content-Disposition: attachment; ${formatFilenameParam(attachment.filename)}`,
+            "Content-Transfer-Encoding: base64",
+            "",
+            toBase64Lines(attachment.content)
+        );
+    }
+
+    lines.push(`--${boundary}--`, "");
+    return lines.join("\r\n");
+}
+
+// "Nombre <email>" de un alias sendAs
+function formatSender(sendAs) {
+    if (!sendAs.displayName) {
+        return sendAs.sendAsEmail;
+    }
+    return `"${sendAs.displayName.replace(/"/g, "")}" <${sendAs.sendAsEmail}>`;
+}
+
+/**
+ * Añade la firma de un alias al cuerpo. El texto recibe la versión en texto
+ * plano tras el separador estándar "-- "; el HTML, la firma original.
+ */
+function applySignature({ body, html }, signature) {
+    if (!signature) {
+        return { body, html };
+    }
+    return {
+        body: body === undefined ? body : `${body}\n\n-- \n${htmlToText(signature)}`,
+        html: html === undefined ? html : `${html}<br><br><div class="gmail_signature">${signature}</div>`,
+    };
+}
+
+// Opción común para desactivar la firma automática del alias
+const SIGNATURE_SCHEMA = {
+    type: "boolean",
+    description: "Añadir la firma configurada del alias (default: true)",
+    default: true,
+};
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat("en-US", { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Diferencia en milisegundos entre la hora local de `timeZone` y UTC en un instante dado
+function getTimeZoneOffset(date, timeZone) {
+    const parts = new Intl.DateTimeFormat("en-US", {
+        timeZone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        second: "2-digit",
+    }).formatToParts(date);
+    const get = (type) => Number(parts.find((part) => part.type === type).value);
+    const asUtc = Date.UTC(get("year"), get("month") - 1, get("day"), get("hour"), get("minute"), get("second"));
+    return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * Interpreta una fecha ISO 8601. Si trae zona (Z o ±hh:mm) se respeta; si no,
+ * se entiende como hora local de `timeZone` (las fechas sin hora, a las 00:00).
+ */
+function parseDateInZone(value, timeZone) {
+    if (/T.*([zZ]|[+-]\d{2}:?\d{2})$/.test(value)) {
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            throw new Error(`Fecha inválida: ${value}`);
+        }
+        return date;
+    }
+
+    const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(\.\d+)?)?)?$/);
+    if (!match) {
+        throw new Error(`Fecha inválida: ${value}`);
+    }
+    const [, year, month, day, hour = 0, minute = 0, second = 0, fraction = 0] = match.map((part) => part && Number(part));
+    const guess = Date.UTC(year, month - 1, day, hour, minute, second, Math.round(fraction * 1000));
+
+    // El desfase puede cambiar justo en el salto de horario de verano: se recalcula una vez
+    const offset = getTimeZoneOffset(new Date(guess), timeZone);
+    const corrected = getTimeZoneOffset(new Date(guess - offset), timeZone);
+    return new Date(guess - corrected);
+}
+
+// Formatea un instante como ISO 8601 en la hora local de `timeZone` (ej: 2025-03-10T09:00:00-03:00)
+function formatDateInZone(date, timeZone) {
+    const offset = getTimeZoneOffset(date, timeZone);
+    const local = new Date(date.getTime() + offset).toISOString().slice(0, 19);
+    const sign = offset < 0 ? "-" : "+";
+    const minutes = Math.abs(offset) / 60000;
+    const hh = String(Math.floor(minutes / 60)).padStart(2, "0");
+    const mm = String(minutes % 60).padStart(2, "0");
+    return `${local}${sign}${hh}:${mm}`;
+}
+
+// Fecha de calendario (AAAA-MM-DD) de un instante en `timeZone`
+function formatDayInZone(date, timeZone) {
+    return new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }).format(date);
+}
+
+// Códigos de día de la semana de RRULE, aceptando también nombres en español e inglés
+const WEEKDAY_CODES = {
+    MO: "MO", LUNES: "MO", MONDAY: "MO",
+    TU: "TU", MARTES: "TU", TUESDAY: "TU",
+    WE: "WE", MIERCOLES: "WE", "MIÉRCOLES": "WE", WEDNESDAY: "WE",
+    TH: "TH", JUEVES: "TH", THURSDAY: "TH",
+    FR: "FR", VIERNES: "FR", FRIDAY: "FR",
+    SA: "SA", SABADO: "SA", "SÁBADO": "SA", SATURDAY: "SA",
+    SU: "SU", DOMINGO: "SU", SUNDAY: "SU",
+};
+
+// Suma días a una fecha AAAA-MM-DD
+function addDays(dateString, days) {
+    const [year, month, day] = dateString.split("-").map(Number);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+// "2025-03-10T09:00:00" -> "20250310T090000" (formato de fecha de iCalendar)
+function toICalDate(value) {
+    return value.replace(/[-:]/g, "").slice(0, value.includes("T") ? 15 : 8);
+}
+
+/**
+ * Calcula start/end de un evento. Con `startDate` (o `allDay`) el evento es
+ * de día completo y `endDate` es el último día incluido; la API espera el día
+ * siguiente como fin exclusivo.
+ */
+function buildEventTimes({ allDay, startDate, endDate, startDateTime, endDateTime }, timeZone) {
+    if (allDay || (startDate && !startDateTime)) {
+        const first = startDate || (startDateTime && startDateTime.slice(0, 10));
+        if (!first || !/^\d{4}-\d{2}-\d{2}$/.test(first)) {
+            throw new Error("Los eventos de día completo necesitan 'startDate' (AAAA-MM-DD)");
+        }
+        const last = endDate || first;
+        if (last < first) {
+            throw new Error("'endDate' no puede ser anterior a 'startDate'");
+        }
+        return {
+            start: { date: first },
+            end: { date: addDays(last, 1) },
+        };
+    }
+
+    const times = {};
+    if (startDateTime) times.start = { dateTime: startDateTime, timeZone };
+    if (endDateTime) times.end = { dateTime: endDateTime, timeZone };
+    return times;
+}
+
+/**
+ * Construye la regla RRULE a partir de un objeto amigable:
+ * { frequency, interval, byWeekday, byMonthDay, count, until }.
+ */
+function buildRRule({ frequency, interval, byWeekday, byMonthDay, count, until }, { allDay, timeZone }) {
+    const freq = String(frequency || "").toUpperCase();
+    if (!["DAILY", "WEEKLY", "MONTHLY", "YEARLY"].includes(freq)) {
+        throw new Error(`Frecuencia de repetición inválida: ${frequency}`);
+    }
+    if (count && until) {
+        throw new Error("Indica 'count' o 'until', no ambos");
+    }
+
+    const parts = [`FREQ=${freq}`];
+    if (interval && interval > 1) {
+        parts.push(`INTERVAL=${Math.floor(interval)}`);
+    }
+    if (byWeekday && byWeekday.length > 0) {
+        const days = byWeekday.map((day) => {
+            // Admite prefijo ordinal para reglas mensuales (ej: "1MO", "-1FR")
+            const match = String(day).trim().toUpperCase().match(/^([+-]?\d{1,2})?(.+)$/);
+            const code = WEEKDAY_CODES[match[2]];
+            if (!code) {
+                throw new Error(`Día de la semana inválido: ${day}`);
+            }
+            return `${match[1] || ""}${code}`;
+        });
+        parts.push(`BYDAY=${days.join(",")}`);
+    }
+    if (byMonthDay && byMonthDay.length > 0) {
+        parts.push(`BYMONTHDAY=${byMonthDay.join(",")}`);
+    }
+    if (count) {
+        parts.push(`COUNT=${Math.floor(count)}`);
+    }
+    if (until) {
+        if (allDay) {
+            parts.push(`UNTIL=${toICalDate(until.slice(0, 10))}`);
+        } else {
+            // En eventos con hora UNTIL va en UTC; una fecha sola incluye ese día completo
+            const end = /^\d{4}-\d{2}-\d{2}$/.test(until)
+                ? parseDateInZone(`${until}T23:59:59`, timeZone)
+                : parseDateInZone(until, timeZone);
+            parts.push(`UNTIL=${toICalDate(end.toISOString().slice(0, 19))}Z`);
+        }
+    }
+    return `RRULE:${parts.join(";")}`;
+}
+
+/**
+ * Línea EXDATE para excluir fechas de una serie. En eventos con hora, una
+ * fecha sin hora excluye la repetición de ese día (a la hora de inicio de la serie).
+ */
+function buildExdate(exdates, { allDay, timeZone, startLocal }) {
+    if (allDay) {
+        return `EXDATE;VALUE=DATE:${exdates.map((date) => toICalDate(date.slice(0, 10))).join(",")}`;
+    }
+    const values = exdates.map((value) => {
+        const local = /^\d{4}-\d{2}-\d{2}$/.test(value)
+            ? `${value}${startLocal.slice(10, 19)}`
+            : formatDateInZone(parseDateInZone(value, timeZone), timeZone).slice(0, 19);
+        return toICalDate(local);
+    });
+    return `EXDATE;TZID=${timeZone}:${values.join(",")}`;
+}
+
+// Sustituye el fin de una regla RRULE (COUNT/UNTIL) por otro, ej: "UNTIL=20250310T085959Z"
+function replaceRRuleEnd(rule, end) {
+    const parts = rule
+        .replace(/^RRULE:/i, "")
+        .split(";")
+        .filter((part) => part && !/^(COUNT|UNTIL)=/i.test(part));
+    if (end) parts.push(end);
+    return `RRULE:${parts.join(";")}`;
+}
+
+// Instante de un start/end de la API ({ date } o { dateTime, timeZone })
+function eventTimeToDate(time, timeZone) {
+    return time.date
+        ? parseDateInZone(time.date, timeZone)
+        : parseDateInZone(time.dateTime, time.timeZone || timeZone);
+}
+
+// Desplaza un start/end de la API; en días completos se redondea a días
+function shiftEventTime(time, offset, timeZone) {
+    if (time.date) {
+        return { date: addDays(time.date, Math.round(offset / 86400000)) };
+    }
+    const zone = time.timeZone || timeZone;
+    const shifted = new Date(eventTimeToDate(time, zone).getTime() + offset);
+    return { dateTime: formatDateInZone(shifted, zone), timeZone: zone };
+}
+
+// Valida una hora de la jornada ("9:00" -> "09:00")
+function parseWorkingTime(value) {
+    const match = String(value).trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match || Number(match[1]) > 24 || Number(match[2]) > 59 || (match[1] === "24" && match[2] !== "00")) {
+        throw new Error(`Hora inválida: ${value} (formato HH:MM)`);
+    }
+    return `${match[1].padStart(2, "0")}:${match[2]}`;
+}
+
+// Ordena y une intervalos { start, end } (en ms) que se solapan o se tocan
+function mergeIntervals(intervals) {
+    const merged = [];
+    for (const interval of [...intervals].sort((a, b) => a.start - b.start)) {
+        const last = merged[merged.length - 1];
+        if (last && interval.start <= last.end) {
+            last.end = Math.max(last.end, interval.end);
+        } else {
+            merged.push({ ...interval });
+        }
+    }
+    return merged;
+}
+
+// Resumen de la videollamada de un evento (Meet u otra solución), o null si no tiene
+function getConferenceInfo(event) {
+    const data = event.conferenceData;
+    if (!data && !event.hangoutLink) {
+        return null;
+    }
+
+    const entryPoints = (data && data.entryPoints) || [];
+    const video = entryPoints.find((entry) => entry.entryPointType === "video");
+    const phone = entryPoints.find((entry) => entry.entryPointType === "phone");
+    const info = {
+        solution: data && data.conferenceSolution ? data.conferenceSolution.name : "Google Meet",
+        joinUrl: video ? video.uri : event.hangoutLink,
+    };
+    if (data && data.conferenceId) {
+        info.conferenceId = data.conferenceId;
+    }
+    if (phone) {
+        info.phone = { number: phone.label || phone.uri.replace(/^tel:/, ""), pin: phone.pin };
+    }
+    if (data && data.createRequest && data.createRequest.status) {
+        info.status = data.createRequest.status.statusCode;
+    }
+    return info;
+}
+
+// Zona horaria opcional por llamada, compartida por las herramientas de Calendar y Fit
+const TIME_ZONE_SCHEMA = {
+    type: "string",
+    description: "Zona horaria IANA para interpretar y mostrar las horas (ej: 'Europe/Madrid'). Por defecto, la del calendario del usuario",
+};
+
+// Campos de fecha de día completo y repetición, compartidos por crear y actualizar eventos
+const EVENT_SCHEDULE_PROPERTIES = {
+    allDay: {
+        type: "boolean",
+        description: "Evento de día completo (usa 'startDate'/'endDate')",
+    },
+    startDate: {
+        type: "string",
+        description: "Primer día de un evento de día completo (AAAA-MM-DD)",
+    },
+    endDate: {
+        type: "string",
+        description: "Último día (incluido) de un evento de día completo (AAAA-MM-DD, default: igual a 'startDate')",
+    },
+    recurrence: {
+        type: "object",
+        description: "Repetición del evento",
+        properties: {
+            frequency: {
+                type: "string",
+                description: "Frecuencia",
+                enum: ["DAILY", "WEEKLY", "MONTHLY", "YEARLY"],
+            },
+            interval: {
+                type: "number",
+                description: "Cada cuántos periodos se repite (default: 1)",
+            },
+            byWeekday: {
+                type: "array",
+                items: { type: "string" },
+                description: "Días de la semana (ej: ['MO', 'WE'] o ['lunes', 'miércoles']; '1MO' = primer lunes del mes)",
+            },
+            byMonthDay: {
+                type: "array",
+                items: { type: "number" },
+                description: "Días del mes (ej: [1, 15])",
+            },
+            count: {
+                type: "number",
+                description: "Número total de repeticiones",
+            },
+            until: {
+                type: "string",
+                description: "Última fecha de repetición (ISO 8601)",
+            },
+        },
+        required: ["frequency"],
+    },
+    rrule: {
+        type: "string",
+        description: "Regla RRULE en bruto (ej: 'FREQ=WEEKLY;BYDAY=MO'), alternativa a 'recurrence'",
+    },
+    exdates: {
+        type: "array",
+        items: { type: "string" },
+        description: "Fechas de la serie a excluir (AAAA-MM-DD o fecha y hora ISO 8601)",
+    },
+};
+
+// Alcance de los cambios sobre eventos que se repiten
+const EVENT_SCOPE_SCHEMA = {
+    type: "string",
+    description:
+        "En eventos que se repiten: 'instance' (solo esta repetición; usa el ID de la instancia que devuelve calendar_list_events), 'following' (esta y las siguientes) o 'series' (toda la serie). Default: 'instance' (con el ID de la serie se modifica toda)",
+    enum: ["instance", "following", "series"],
+};
+
+// Esquema de adjuntos compartido por las herramientas que componen emails
+const ATTACHMENTS_SCHEMA = {
+    type: "array",
+    description: "Adjuntos (máximo 25 MB en total). Cada uno indica 'path', 'driveFileId' o 'data'",
+    items: {
+        type: "object",
+        properties: {
+            path: {
+                type: "string",
+                description: "Ruta de un archivo local dentro de la carpeta de adjuntos (GMAIL_ATTACHMENTS_DIR); las rutas relativas parten de ella",
+            },
+            driveFileId: {
+                type: "string",
+                description: "ID de un archivo de Google Drive (los documentos de Google se exportan a PDF/XLSX)",
+            },
+            data: {
+                type: "string",
+                description: "Contenido del archivo en base64",
+            },
+            filename: {
+                type: "string",
+                description: "Nombre del archivo (obligatorio con 'data')",
+            },
+            mimeType: {
+                type: "string",
+                description: "Tipo MIME (se detecta por la extensión si se omite)",
+            },
+        },
+    },
+};
+
+// Destinatarios y asunto, comunes a las herramientas que escriben emails
+const RECIPIENT_PROPERTIES = {
+    to: {
+        type: "string",
+        description: "Destinatario(s), separados por comas. Admite 'Nombre <email>'",
+    },
+    cc: {
+        type: "array",
+        items: { type: "string" },
+        description: "Destinatarios en copia",
+    },
+    bcc: {
+        type: "array",
+        items: { type: "string" },
+        description: "Destinatarios en copia oculta",
+    },
+    subject: {
+        type: "string",
+        description: "Asunto del email",
+    },
+};
+
+// Campos de un email nuevo (ver composeMessage)
+const COMPOSE_PROPERTIES = {
+    ...RECIPIENT_PROPERTIES,
+    body: {
+        type: "string",
+        description: "Cuerpo del email (texto plano). Si solo se indica 'html' se genera a partir de él",
+    },
+    html: {
+        type: "string",
+        description: "Cuerpo del email en HTML (opcional)",
+    },
+    from: {
+        type: "string",
+        description: "Alias 'Enviar como' desde el que se envía (default: el alias predeterminado)",
+    },
+    includeSignature: SIGNATURE_SCHEMA,
+    attachments: ATTACHMENTS_SCHEMA,
+};
+
+class GoogleWorkspaceMCPServer {
+    constructor() {
+        this.server = new Server(
+            {
+                name: "google-workspace-mcp",
+                version: "1.0.0",
+            },
+            {
+                capabilities: {
+                    tools: {},
+                },
+            }
+        );
+
+        this.auth = null;
+        this.gmail = null;
+        this.calendar = null;
+        this.docs = null;
+        this.drive = null;
+        this.sheets = null;
+        this.timeZone = null;
+        this.userEmail = null;
+        this.sendAsList = null;
+        this.outboxTimer = null;
+        this.outboxQueue = Promise.resolve();
+
+        this.setupHandlers();
+    }
+
+    async loadSavedCredentialsIfExist() {
+        try {
+            let content;
+            let keys;
+            
+            // Intentar cargar desde variables de entorno primero
+            if (process.env.GOOGLE_TOKEN) {
+                content = process.env.GOOGLE_TOKEN;
+                const credentials = JSON.parse(content);
+                
+                keys = process.env.GOOGLE_CREDENTIALS 
+                    ? JSON.parse(process.env.GOOGLE_CREDENTIALS)
+                    : JSON.parse(await fs.readFile(CREDENTIALS_PATH));
+                    
+                const key = keys.installed || keys.web;
+                const client = new google.auth.OAuth2(
+                    key.client_id,
+                    key.client_secret,
+                    key.redirect_uris[0]
+                );
+
+                client.setCredentials({
+                    refresh_token: credentials.refresh_token,
+                    access_token: credentials.access_token,
+                    token_type: credentials.token_type,
+                    expiry_date: credentials.expiry_date,
+                    scope: credentials.scope,
+                });
+
+                console.error("✅ Token cargado desde variables de entorno");
+                return client;
+            }
+            
+            // Si no hay variables de entorno, cargar desde archivos
+            content = await fs.readFile(TOKEN_PATH);
+            const credentials = JSON.parse(content);
+
+            // Leer las credenciales originales para obtener client_id y client_secret
+            keys = JSON.parse(await fs.readFile(CREDENTIALS_PATH));
+            const key = keys.installed || keys.web;
+
+            // Crear OAuth2Client con las credenciales correctas
+            const client = new google.auth.OAuth2(
+                key.client_id,
+                key.client_secret,
+                key.redirect_uris[0]
+            );
+
+            // Establecer las credenciales guardadas
+            client.setCredentials({
+                refresh_token: credentials.refresh_token,
+                access_token: credentials.access_token,
+                token_type: credentials.token_type,
+                expiry_date: credentials.expiry_date,
+                scope: credentials.scope,
+            });
+
+            console.error("✅ Token cargado desde archivo");
+            return client;
+        } catch (err) {
+            console.error("ℹ️ No se encontró token guardado, se requiere autenticación");
+            return null;
+        }
+    }
+
+    async saveCredentials(client) {
+        const content = await fs.readFile(CREDENTIALS_PATH);
+        const keys = JSON.parse(content);
+        const key = keys.installed || keys.web;
+
+        const payload = JSON.stringify({
+            type: "authorized_user",
+            client_id: key.client_id,
+            client_secret: key.client_secret,
+            refresh_token: client.credentials.refresh_token,
+            access_token: client.credentials.access_token,
+            token_type: client.credentials.token_type,
+            expiry_date: client.credentials.expiry_date,
+            scope: client.credentials.scope,
+        });
+
+        await fs.writeFile(TOKEN_PATH, payload);
+        console.error("✅ Credenciales guardadas exitosamente");
+    }
+
+    async ensureValidToken() {
+        if (!this.auth || !this.auth.credentials) {
+            throw new Error("No hay autenticación disponible");
+        }
+
+        const now = new Date().getTime();
+        const expiry = this.auth.credentials.expiry_date;
+
+        // Si no hay expiry_date o el token expiró, renovarlo
+        if (!expiry || expiry <= now) {
+            console.error("🔄 Token expirado, renovando...");
+            try {
+                const { credentials } = await this.auth.refreshAccessToken();
+                this.auth.setCredentials(credentials);
+                await this.saveCredentials(this.auth);
+                console.error("✅ Token renovado exitosamente");
+            } catch (error) {
+                console.error("❌ Error al renovar token:", error.message);
+                console.error("⚠️ Necesitas volver a autenticarte. Borra token.json y reinicia.");
+                throw new Error("Token inválido, se requiere re-autenticación");
+            }
+        } else if (expiry - now < 5 * 60 * 1000) {
+            // Si expira en menos de 5 minutos, renovarlo preventivamente
+            console.error("🔄 Token por expirar, renovando preventivamente...");
+            try {
+                const { credentials } = await this.auth.refreshAccessToken();
+                this.auth.setCredentials(credentials);
+                await this.saveCredentials(this.auth);
+                console.error("✅ Token renovado preventivamente");
+            } catch (error) {
+                console.error("⚠️ Error al renovar token preventivamente:", error.message);
+            }
+        }
+    }
+
+    /**
+     * Scopes de SCOPES que el token no tiene concedidos. Los tokens guardados
+     * antes de registrar 'scope' se consultan en el endpoint tokeninfo.
+     */
+    async getMissingScopes(client, accessToken) {
+        const granted = client.credentials.scope
+            ? client.credentials.scope.split(" ")
+            : (await client.getTokenInfo(accessToken)).scopes;
+        return SCOPES.filter((scope) => !granted.includes(scope));
+    }
+
+    async authorize() {
+        let client = await this.loadSavedCredentialsIfExist();
+        // Con GOOGLE_TOKEN no hay navegador ni token.json: no se puede re-autenticar aquí
+        const fromEnv = Boolean(process.env.GOOGLE_TOKEN);
+        if (client) {
+            // Verificar que el token sea válido y tenga todos los permisos actuales
+            let token;
+            try {
+                ({ token } = await client.getAccessToken());
+            } catch (error) {
+                if (fromEnv) {
+                    throw new Error(`El token de GOOGLE_TOKEN no es válido: ${error.message}`);
+                }
+                console.error("⚠️ Token guardado inválido, requiere re-autenticación");
+                client = null;
+            }
+
+            if (client) {
+                let missing;
+                try {
+                    missing = await this.getMissingScopes(client, token);
+                } catch (error) {
+                    // Un fallo al consultar tokeninfo no invalida el token
+                    console.error("⚠️ No se pudieron comprobar los permisos del token:", error.message);
+                    return client;
+                }
+                if (missing.length === 0) {
+                    return client;
+                }
+                if (fromEnv) {
+                    console.error(
+                        `⚠️ Al token de GOOGLE_TOKEN le faltan permisos (${missing.join(", ")}); las herramientas que los usan fallarán hasta generar un token nuevo`
+                    );
+                    return client;
+                }
+                console.error(`⚠️ Al token guardado le faltan permisos (${missing.join(", ")}), requiere re-autenticación`);
+                client = null;
+            }
+        }
+
+        if (fromEnv) {
+            throw new Error("No se pudo cargar el token de GOOGLE_TOKEN/GOOGLE_CREDENTIALS");
+        }
+
+        // Si no hay cliente válido, autenticar desde cero
+        client = await authenticate({
+            scopes: SCOPES,
+            keyfilePath: CREDENTIALS_PATH,
+        });
+
+        if (client.credentials) {
+            await this.saveCredentials(client);
+        }
+
+        return client;
+    }
+
+    /**
+     * Zona horaria por defecto: CALENDAR_TIME_ZONE, luego la configurada en
+     * Google Calendar y, si no se puede leer, la del sistema.
+     */
+    async detectTimeZone() {
+        if (TIME_ZONE_OVERRIDE) {
+            if (!isValidTimeZone(TIME_ZONE_OVERRIDE)) {
+                throw new Error(`CALENDAR_TIME_ZONE no es una zona horaria válida: ${TIME_ZONE_OVERRIDE}`);
+            }
+            return TIME_ZONE_OVERRIDE;
+        }
+
+        try {
+            const res = await this.calendar.settings.get({ setting: "timezone" });
+            if (res.data.value && isValidTimeZone(res.data.value)) {
+                return res.data.value;
+            }
+        } catch (error) {
+            console.error("⚠️ No se pudo leer la zona horaria del calendario:", error.message);
+        }
+        return Intl.DateTimeFormat().resolvedOptions().timeZone;
+    }
+
+    // Zona horaria de una llamada: la indicada en los argumentos o la del servidor
+    resolveTimeZone(timeZone) {
+        if (!timeZone) {
+            return this.timeZone;
+        }
+        if (!isValidTimeZone(timeZone)) {
+            throw new Error(`Zona horaria inválida: ${timeZone}`);
+        }
+        return timeZone;
+    }
+
+    async initialize() {
+        try {
+            this.auth = await this.authorize();
+            this.gmail = google.gmail({ version: "v1", auth: this.auth });
+            this.calendar = google.calendar({ version: "v3", auth: this.auth });
+            this.docs = google.docs({ version: "v1", auth: this.auth });
+            this.drive = google.drive({ version: "v3", auth: this.auth });
+            this.sheets = google.sheets({ version: "v4", auth: this.auth });
+            // 🆕 INICIALIZACIÓN DE GOOGLE FIT
+            this.fit = google.fitness({ version: "v1", auth: this.auth });
+            this.timeZone = await this.detectTimeZone();
+            console.error(`🕒 Zona horaria: ${this.timeZone}`);
+            console.error("✅ Autenticación exitosa - Servidor listo");
+        } catch (error) {
+            console.error("❌ Error durante la autenticación:", error.message);
+            throw error;
+        }
+    }
+
+    setupHandlers() {
+        this.server.setRequestHandler(ListToolsRequestSchema, async () => ({
+            tools: [
+                // Gmail Tools
+                {
+                    name: "gmail_list_messages",
+                    description: "Lista tus emails recientes con filtros opcionales (remitente, fechas, etiqueta...). Devuelve 'nextPageToken' para pedir la página siguiente",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            ...GMAIL_SEARCH_PROPERTIES,
+                            query: {
+                                type: "string",
+                                description: "Búsqueda libre de Gmail para casos avanzados (ej: 'older_than:7d'). Se combina con los filtros anteriores",
+                            },
+                            maxResults: {
+                                type: "number",
+                                description: "Máximo de mensajes a retornar por página (default: 10, máximo: 500)",
+                                default: 10,
+                            },
+                            pageToken: {
+                                type: "string",
+                                description: "Token de página devuelto como 'nextPageToken' en una llamada anterior",
+                            },
+                        },
+                    },
+                },
+                {
+                    name: "gmail_get_message",
+                    description: "Obtiene un email específico por su ID con el cuerpo decodificado y la lista de adjuntos",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            messageId: {
+                                type: "string",
+                                description: "ID del mensaje a obtener",
+                            },
+                            format: {
+                                type: "string",
+                                description: "'clean' devuelve cabeceras, texto y adjuntos; 'raw' devuelve el payload completo de la API (default: 'clean')",
+                                enum: ["clean", "raw"],
+                                default: "clean",
+                            },
+                        },
+                        required: ["messageId"],
+                    },
+                },
+                {
+                    name: "gmail_send_message",
+                    description: "Envía un email a través de Gmail, con adjuntos opcionales",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            ...COMPOSE_PROPERTIES,
+                        },
+                        required: ["to", "subject"],
+                    },
+                },
+                {
+                    name: "gmail_create_draft",
+                    description: "Crea un borrador de email en Gmail, con adjuntos opcionales",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            ...COMPOSE_PROPERTIES,
+                        },
+                        required: ["to", "subject"],
+                    },
+                },
+                {
+                    name: "gmail_list_send_as",
+                    description: "Lista los alias 'Enviar como' de la cuenta y sus firmas",
+                    inputSchema: {
+                        type: "object",
+                        properties: {},
+                    },
+                },
+                {
+                    name: "gmail_schedule_send",
+                    description: "Programa un email para enviarlo más tarde. Queda guardado en una bandeja de salida local y se envía aunque el servidor se reinicie",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            ...COMPOSE_PROPERTIES,
+                            sendAt: {
+                                type: "string",
+                                description: "Fecha y hora de envío, en el futuro (ISO 8601, ej: '2025-03-10T09:00:00'; sin zona se usa la del calendario)",
+                            },
+                        },
+                        required: ["to", "subject", "sendAt"],
+                    },
+                },
+                {
+                    name: "gmail_list_scheduled",
+                    description: "Lista los emails programados pendientes o fallidos",
+                    inputSchema: {
+                        type: "object",
+                        properties: {},
+                    },
+                },
+                {
+                    name: "gmail_cancel_scheduled",
+                    description: "Cancela un email programado",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            scheduledId: {
+                                type: "string",
+                                description: "ID del envío programado (ver gmail_list_scheduled)",
+                            },
+                        },
+                        required: ["scheduledId"],
+                    },
+                },
+                {
+                    name: "gmail_list_drafts",
+                    description: "Lista los borradores de Gmail",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            query: {
+                                type: "string",
+                                description: "Búsqueda de Gmail para filtrar borradores (opcional)",
+                            },
+                            maxResults: {
+                                type: "number",
+                                description: "Máximo de borradores a retornar (default: 10)",
+                                default: 10,
+                            },
+                            pageToken: {
+                                type: "string",
+                                description: "Token de página devuelto como 'nextPageToken' en una llamada anterior",
+                            },
+                        },
+                    },
+                },
+                {
+                    name: "gmail_get_draft",
+                    description: "Obtiene un borrador con sus destinatarios, texto y adjuntos",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            draftId: {
+                                type: "string",
+                                description: "ID del borrador",
+                            },
+                        },
+                        required: ["draftId"],
+                    },
+                },
+                {
+                    name: "gmail_update_draft",
+                    description: "Modifica un borrador. Los campos omitidos conservan su valor actual",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            draftId: {
+                                type: "string",
+                                description: "ID del borrador",
+                            },
+                            ...RECIPIENT_PROPERTIES,
+                            body: {
+                                type: "string",
+                                description: "Nuevo cuerpo en texto plano",
+                            },
+                            html: {
+                                type: "string",
+                                description: "Nuevo cuerpo en HTML",
+                            },
+                            attachments: {
+                                ...ATTACHMENTS_SCHEMA,
+                                description: "Reemplaza los adjuntos actuales. Omítelo para conservarlos; usa [] para quitarlos",
+                            },
+                        },
+                        required: ["draftId"],
+                    },
+                },
+                {
+                    name: "gmail_send_draft",
+                    description: "Envía un borrador existente",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            draftId: {
+                                type: "string",
+                                description: "ID del borrador",
+                            },
+                        },
+                        required: ["draftId"],
+                    },
+                },
+                {
+                    name: "gmail_delete_draft",
+                    description: "Elimina un borrador definitivamente",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            draftId: {
+                                type: "string",
+                                description: "ID del borrador",
+                            },
+                        },
+                        required: ["draftId"],
+                    },
+                },
+                {
+                    name: "gmail_changes_since",
+                    description: "Informa de los emails nuevos, eliminados y con etiquetas cambiadas desde la llamada anterior. La primera vez (o si el historial caducó) hace una sincronización completa",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            labelId: {
+                                type: "string",
+                                description: "Limitar los cambios a una etiqueta (ej: 'INBOX'). Cada etiqueta lleva su propio punto de sincronización",
+                            },
+                            maxResults: {
+                                type: "number",
+                                description: "Máximo de mensajes nuevos de los que se devuelven detalles (default: 20)",
+                                default: 20,
+                            },
+                            reset: {
+                                type: "boolean",
+                                description: "Descartar el punto guardado y forzar una sincronización completa (default: false)",
+                                default: false,
+                            },
+                        },
+                    },
+                },
+                {
+                    name: "gmail_get_thread",
+                    description: "Obtiene un hilo completo como una conversación cronológica compacta (remitente, fecha y solo el texto nuevo de cada mensaje)",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            threadId: {
+                                type: "string",
+                                description: "ID del hilo (campo threadId de gmail_list_messages)",
+                            },
+                            includeQuoted: {
+                                type: "boolean",
+                                description: "Conservar el texto citado y las firmas (default: false)",
+                                default: false,
+                            },
+                        },
+                        required: ["threadId"],
+                    },
+                },
+                {
+                    name: "gmail_reply",
+                    description: "Responde a un email dentro del mismo hilo, citando el mensaje original",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            messageId: {
+                                type: "string",
+                                description: "ID del mensaje al que se responde",
+                            },
+                            body: {
+                                type: "string",
+                                description: "Texto de la respuesta (texto plano)",
+                            },
+                            replyAll: {
+                                type: "boolean",
+                                description: "Responder a todos los destinatarios del mensaje original (default: false)",
+                                default: false,
+                            },
+                            includeQuote: {
+                                type: "boolean",
+                                description: "Incluir el mensaje original citado (default: true)",
+                                default: true,
+                            },
+                            from: {
+                                type: "string",
+                                description: "Alias 'Enviar como' desde el que se envía (default: el alias predeterminado)",
+                            },
+                            includeSignature: SIGNATURE_SCHEMA,
+                            attachments: ATTACHMENTS_SCHEMA,
+                            draft: {
+                                type: "boolean",
+                                description: "Crear la respuesta como borrador en lugar de enviarla (default: false)",
+                                default: false,
+                            },
+                        },
+                        required: ["messageId", "body"],
+                    },
+                },
+                {
+                    name: "gmail_forward",
+                    description: "Reenvía un email (con sus adjuntos) manteniendo el hilo",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            messageId: {
+                                type: "string",
+                                description: "ID del mensaje a reenviar",
+                            },
+                            to: {
+                                type: "string",
+                                description: "Destinatario(s) del reenvío, separados por comas",
+                            },
+                            body: {
+                                type: "string",
+                                description: "Texto opcional que precede al mensaje reenviado",
+                            },
+                            includeAttachments: {
+                                type: "boolean",
+                                description: "Reenviar también los adjuntos originales (default: true)",
+                                default: true,
+                            },
+                            from: {
+                                type: "string",
+                                description: "Alias 'Enviar como' desde el que se envía (default: el alias predeterminado)",
+                            },
+                            includeSignature: SIGNATURE_SCHEMA,
+                            draft: {
+                                type: "boolean",
+                                description: "Crear el reenvío como borrador en lugar de enviarlo (default: false)",
+                                default: false,
+                            },
+                        },
+                        required: ["messageId", "to"],
+                    },
+                },
+                {
+                    name: "gmail_list_attachments",
+                    description: "Lista los adjuntos de un email con su tamaño e ID",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            messageId: {
+                                type: "string",
+                                description: "ID del mensaje",
+                            },
+                        },
+                        required: ["messageId"],
+                    },
+                },
+                {
+                    name: "gmail_get_attachment",
+                    description: "Descarga un adjunto de un email: lo guarda en la carpeta de descargas, devuelve su texto o lo copia a Google Drive",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            messageId: {
+                                type: "string",
+                                description: "ID del mensaje",
+                            },
+                            partId: {
+                                type: "string",
+                                description: "ID de la parte del adjunto (ver gmail_list_attachments)",
+                            },
+                            filename: {
+                                type: "string",
+                                description: "Nombre del adjunto, alternativa a 'partId'",
+                            },
+                            attachmentId: {
+                                type: "string",
+                                description: "ID del adjunto (ver gmail_list_attachments); opcional, acompaña a 'partId' o 'filename'",
+                            },
+                            action: {
+                                type: "string",
+                                description: "'save' lo guarda en la carpeta de descargas, 'text' devuelve el contenido si es de texto, 'drive' lo sube a Google Drive (default: 'save')",
+                                enum: ["save", "text", "drive"],
+                                default: "save",
+                            },
+                            driveFolderId: {
+                                type: "string",
+                                description: "Carpeta de Drive de destino cuando action es 'drive'",
+                            },
+                        },
+                        required: ["messageId"],
+                    },
+                },
+                // Gmail Label Tools
+                {
+                    name: "gmail_list_labels",
+                    description: "Lista las etiquetas de Gmail (del sistema y del usuario)",
+                    inputSchema: {
+                        type: "object",
+                        properties: {},
+                    },
+                },
+                {
+                    name: "gmail_create_label",
+                    description: "Crea una etiqueta de Gmail",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            name: {
+                                type: "string",
+                                description: "Nombre de la etiqueta (usa '/' para anidar, ej: 'Clientes/Acme')",
+                            },
+                            backgroundColor: {
+                                type: "string",
+                                description: "Color de fondo de la paleta de Gmail (ej: '#16a766')",
+                            },
+                            textColor: {
+                                type: "string",
+                                description: "Color del texto de la paleta de Gmail (ej: '#ffffff')",
+                            },
+                        },
+                        required: ["name"],
+                    },
+                },
+                {
+                    name: "gmail_rename_label",
+                    description: "Cambia el nombre de una etiqueta de Gmail",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            label: {
+                                type: "string",
+                                description: "ID o nombre actual de la etiqueta",
+                            },
+                            newName: {
+                                type: "string",
+                                description: "Nuevo nombre de la etiqueta",
+                            },
+                        },
+                        required: ["label", "newName"],
+                    },
+                },
+                {
+                    name: "gmail_delete_label",
+                    description: "Elimina una etiqueta de Gmail (los mensajes no se borran)",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            label: {
+                                type: "string",
+                                description: "ID o nombre de la etiqueta",
+                            },
+                        },
+                        required: ["label"],
+                    },
+                },
+                {
+                    name: "gmail_modify_labels",
+                    description: "Añade o quita etiquetas de mensajes o hilos",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            messageIds: {
+                                type: "array",
+                                items: { type: "string" },
+                                description: "IDs de los mensajes",
+                            },
+                            threadIds: {
+                                type: "array",
+                                items: { type: "string" },
+                                description: "IDs de los hilos (se aplica a todos sus mensajes)",
+                            },
+                            addLabels: {
+                                type: "array",
+                                items: { type: "string" },
+                                description: "IDs o nombres de etiquetas a añadir",
+                            },
+                            removeLabels: {
+                                type: "array",
+                                items: { type: "string" },
+                                description: "IDs o nombres de etiquetas a quitar",
+                            },
+                        },
+                    },
+                },
+                {
+                    name: "gmail_mailbox_action",
+                    description: "Archiva, marca como leído/no leído, destaca, envía a la papelera o recupera mensajes o hilos",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            messageIds: {
+                                type: "array",
+                                items: { type: "string" },
+                                description: "IDs de los mensajes",
+                            },
+                            threadIds: {
+                                type: "array",
+                                items: { type: "string" },
+                                description: "IDs de los hilos (se aplica a todos sus mensajes)",
+                            },
+                            action: {
+                                type: "string",
+                                description: "Acción a aplicar",
+                                enum: Object.keys(MAILBOX_ACTIONS),
+                            },
+                        },
+                        required: ["action"],
+                    },
+                },
+                {
+                    name: "gmail_bulk_modify",
+                    description: "Aplica etiquetas o una acción (archivar, papelera...) a todos los emails de una búsqueda. Sin 'confirm' solo muestra cuántos mensajes se verían afectados",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            ...GMAIL_SEARCH_PROPERTIES,
+                            query: {
+                                type: "string",
+                                description: "Búsqueda libre de Gmail, igual que en gmail_list_messages (ej: 'older_than:30d')",
+                            },
+                            action: {
+                                type: "string",
+                                description: "Acción a aplicar",
+                                enum: Object.keys(MAILBOX_ACTIONS),
+                            },
+                            addLabels: {
+                                type: "array",
+                                items: { type: "string" },
+                                description: "IDs o nombres de etiquetas a añadir",
+                            },
+                            removeLabels: {
+                                type: "array",
+                                items: { type: "string" },
+                                description: "IDs o nombres de etiquetas a quitar",
+                            },
+                            maxMessages: {
+                                type: "number",
+                                description: `Máximo de mensajes a modificar (default: ${GMAIL_BULK_DEFAULT_LIMIT})`,
+                                default: GMAIL_BULK_DEFAULT_LIMIT,
+                            },
+                            confirm: {
+                                type: "boolean",
+                                description: "Ejecutar los cambios. Si es false solo devuelve la vista previa (default: false)",
+                                default: false,
+                            },
+                        },
+                    },
+                },
+                // Gmail Settings Tools
+                {
+                    name: "gmail_list_filters",
+                    description: "Lista los filtros de Gmail configurados",
+                    inputSchema: {
+                        type: "object",
+                        properties: {},
+                    },
+                },
+                {
+                    name: "gmail_create_filter",
+                    description: "Crea un filtro de Gmail que se aplica automáticamente al correo entrante",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            from: {
+                                type: "string",
+                                description: "Remitente a filtrar",
+                            },
+                            to: {
+                                type: "string",
+                                description: "Destinatario a filtrar",
+                            },
+                            subject: {
+                                type: "string",
+                                description: "Texto del asunto",
+                            },
+                            query: {
+                                type: "string",
+                                description: "Búsqueda de Gmail que deben cumplir los mensajes",
+                            },
+                            negatedQuery: {
+                                type: "string",
+                                description: "Búsqueda de Gmail que NO deben cumplir los mensajes",
+                            },
+                            hasAttachment: {
+                                type: "boolean",
+                                description: "Solo mensajes con adjuntos",
+                            },
+                            addLabels: {
+                                type: "array",
+                                items: { type: "string" },
+                                description: "IDs o nombres de etiquetas a aplicar",
+                            },
+                            archive: {
+                                type: "boolean",
+                                description: "Omitir la bandeja de entrada",
+                            },
+                            markRead: {
+                                type: "boolean",
+                                description: "Marcar como leído",
+                            },
+                            star: {
+                                type: "boolean",
+                                description: "Destacar",
+                            },
+                            markImportant: {
+                                type: "boolean",
+                                description: "Marcar como importante (false para no marcarlo nunca)",
+                            },
+                            trash: {
+                                type: "boolean",
+                                description: "Enviar a la papelera",
+                            },
+                            neverSpam: {
+                                type: "boolean",
+                                description: "No enviar nunca a spam",
+                            },
+                        },
+                    },
+                },
+                {
+                    name: "gmail_delete_filter",
+                    description: "Elimina un filtro de Gmail",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            filterId: {
+                                type: "string",
+                                description: "ID del filtro (ver gmail_list_filters)",
+                            },
+                        },
+                        required: ["filterId"],
+                    },
+                },
+                {
+                    name: "gmail_get_vacation",
+                    description: "Obtiene la configuración de la respuesta automática (fuera de la oficina)",
+                    inputSchema: {
+                        type: "object",
+                        properties: {},
+                    },
+                },
+                {
+                    name: "gmail_set_vacation",
+                    description: "Activa, modifica o desactiva la respuesta automática (fuera de la oficina)",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            enabled: {
+                                type: "boolean",
+                                description: "Activar (true) o desactivar (false) la respuesta automática",
+                            },
+                            subject: {
+                                type: "string",
+                                description: "Asunto de la respuesta",
+                            },
+                            message: {
+                                type: "string",
+                                description: "Texto de la respuesta (texto plano)",
+                            },
+                            html: {
+                                type: "string",
+                                description: "Texto de la respuesta en HTML (opcional)",
+                            },
+                            startTime: {
+                                type: "string",
+                                description: "Inicio de la respuesta automática (ISO 8601, opcional)",
+                            },
+                            endTime: {
+                                type: "string",
+                                description: "Fin de la respuesta automática (ISO 8601, opcional)",
+                            },
+                            restrictToContacts: {
+                                type: "boolean",
+                                description: "Responder solo a tus contactos",
+                            },
+                            restrictToDomain: {
+                                type: "boolean",
+                                description: "Responder solo a personas de tu dominio (Workspace)",
+                            },
+                        },
+                        required: ["enabled"],
+                    },
+                },
+                // Gmail Template Tools
+                {
+                    name: "gmail_save_template",
+                    description: "Guarda (o reemplaza) una plantilla de email con marcadores {{nombre}}",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            name: {
+                                type: "string",
+                                description: "Nombre de la plantilla",
+                            },
+                            subject: {
+                                type: "string",
+                                description: "Asunto, con marcadores opcionales (ej: 'Hola {{nombre}}')",
+                            },
+                            body: {
+                                type: "string",
+                                description: "Cuerpo en texto plano con marcadores",
+                            },
+                            html: {
+                                type: "string",
+                                description: "Cuerpo en HTML con marcadores (opcional)",
+                            },
+                        },
+                        required: ["name", "subject"],
+                    },
+                },
+                {
+                    name: "gmail_list_templates",
+                    description: "Lista las plantillas de email guardadas con sus marcadores",
+                    inputSchema: {
+                        type: "object",
+                        properties: {},
+                    },
+                },
+                {
+                    name: "gmail_delete_template",
+                    description: "Elimina una plantilla de email",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            name: {
+                                type: "string",
+                                description: "Nombre de la plantilla",
+                            },
+                        },
+                        required: ["name"],
+                    },
+                },
+                {
+                    name: "gmail_mail_merge",
+                    description: "Combina una plantilla con una lista de destinatarios (CSV o Google Sheets) y envía o crea un borrador por fila",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            template: {
+                                type: "string",
+                                description: "Nombre de la plantilla guardada",
+                            },
+                            csvPath: {
+                                type: "string",
+                                description: "Ruta de un CSV con cabecera (una columna por marcador) dentro de la carpeta de adjuntos (GMAIL_ATTACHMENTS_DIR)",
+                            },
+                            spreadsheetId: {
+                                type: "string",
+                                description: "ID de una hoja de Google Sheets, alternativa a 'csvPath'",
+                            },
+                            range: {
+                                type: "string",
+                                description: "Rango de la hoja con cabecera (ej: 'Hoja1!A1:D100', default: la primera hoja)",
+                            },
+                            emailColumn: {
+                                type: "string",
+                                description: "Columna con el email del destinatario (default: 'email')",
+                                default: "email",
+                            },
+                            mode: {
+                                type: "string",
+                                description: "'draft' crea borradores para revisar, 'send' envía directamente (default: 'draft')",
+                                enum: ["draft", "send"],
+                                default: "draft",
+                            },
+                            attachments: ATTACHMENTS_SCHEMA,
+                            from: {
+                                type: "string",
+                                description: "Alias 'Enviar como' desde el que se envía (default: el alias predeterminado)",
+                            },
+                            includeSignature: SIGNATURE_SCHEMA,
+                        },
+                        required: ["template"],
+                    },
+                },
+                {
+                    name: "gmail_inbox_stats",
+                    description: "Resumen estadístico del correo de un período: volumen por remitente y etiqueta, antigüedad de los no leídos, tiempo de respuesta y los hilos más largos",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            after: {
+                                type: "string",
+                                description: "Inicio del período (ISO 8601). Por defecto, los últimos 'days' días",
+                            },
+                            before: {
+                                type: "string",
+                                description: "Fin del período (ISO 8601, default: ahora)",
+                            },
+                            days: {
+                                type: "number",
+                                description: "Días hacia atrás si no se indica 'after' (default: 7)",
+                                default: 7,
+                            },
+                            top: {
+                                type: "number",
+                                description: "Cuántos remitentes e hilos mostrar en los rankings (default: 10)",
+                                default: 10,
+                            },
+                            maxMessages: {
+                                type: "number",
+                                description: "Máximo de mensajes a analizar (default: 1000)",
+                                default: 1000,
+                            },
+                        },
+                    },
+                },
+                {
+                    name: "gmail_find_unanswered",
+                    description: "Encuentra hilos en los que tu último email enviado lleva más de N días sin respuesta y opcionalmente crea borradores de seguimiento en el mismo hilo",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            days: {
+                                type: "number",
+                                description: "Días sin respuesta para considerar un hilo pendiente (default: 3)",
+                                default: 3,
+                            },
+                            lookbackDays: {
+                                type: "number",
+                                description: "Antigüedad máxima de los emails enviados a revisar (default: 30)",
+                                default: 30,
+                            },
+                            maxThreads: {
+                                type: "number",
+                                description: "Máximo de hilos a revisar (default: 100)",
+                                default: 100,
+                            },
+                            createDrafts: {
+                                type: "boolean",
+                                description: "Crear un borrador de seguimiento en cada hilo pendiente que no tenga ya uno (default: false)",
+                                default: false,
+                            },
+                            followUpMessage: {
+                                type: "string",
+                                description: "Texto del seguimiento (por defecto, un recordatorio breve y cordial)",
+                            },
+                        },
+                    },
+                },
+                // Gmail Newsletter Tools
+                {
+                    name: "gmail_scan_newsletters",
+                    description: "Analiza los emails recientes, detecta listas de correo y newsletters (cabeceras List-Unsubscribe/List-Id) y los agrupa por remitente con su volumen",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            days: {
+                                type: "number",
+                                description: "Días hacia atrás a analizar (default: 30)",
+                                default: 30,
+                            },
+                            maxMessages: {
+                                type: "number",
+                                description: "Máximo de mensajes a analizar (default: 500)",
+                                default: 500,
+                            },
+                        },
+                    },
+                },
+                {
+                    name: "gmail_unsubscribe",
+                    description: "Se da de baja de una lista de correo (one-click RFC 8058 o email de baja) y opcionalmente crea un filtro para archivar lo que llegue de ese remitente",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            sender: {
+                                type: "string",
+                                description: "Email del remitente (ver gmail_scan_newsletters)",
+                            },
+                            messageId: {
+                                type: "string",
+                                description: "ID de un mensaje de la lista, alternativa a 'sender'",
+                            },
+                            archiveFuture: {
+                                type: "boolean",
+                                description: "Crear un filtro que archive los emails futuros de este remitente (default: false)",
+                                default: false,
+                            },
+                        },
+                    },
+                },
+                // Calendar Tools
+                {
+                    name: "calendar_list_calendars",
+                    description: "Lista los calendarios a los que tienes acceso (propios, compartidos y de equipo)",
+                    inputSchema: {
+                        type: "object",
+                        properties: {},
+                    },
+                },
+                {
+                    name: "calendar_list_events",
+                    description: "Lista los próximos eventos de uno o varios calendarios",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            calendarId: {
+                                type: "string",
+                                description: "ID del calendario (default: 'primary'). Ver calendar_list_calendars",
+                            },
+                            calendarIds: {
+                                type: "array",
+                                items: { type: "string" },
+                                description: "Varios calendarios cuyos eventos se combinan en orden cronológico",
+                            },
+                            maxResults: {
+                                type: "number",
+                                description: "Máximo de eventos a retornar (default: 10)",
+                                default: 10,
+                            },
+                            timeMin: {
+                                type: "string",
+                                description: "Fecha/hora mínima para eventos (ISO 8601, default: ahora)",
+                            },
+                            timeMax: {
+                                type: "string",
+                                description: "Fecha/hora máxima para eventos (ISO 8601)",
+                            },
+                            timeZone: TIME_ZONE_SCHEMA,
+                        },
+                    },
+                },
+                {
+                    name: "calendar_create_event",
+                    description: "Crea un nuevo evento en el calendario: con hora ('startDateTime'/'endDateTime'), de día completo ('startDate') y opcionalmente repetido",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            calendarId: {
+                                type: "string",
+                                description: "ID del calendario (default: 'primary'). Ver calendar_list_calendars",
+                            },
+                            summary: {
+                                type: "string",
+                                description: "Título del evento",
+                            },
+                            description: {
+                                type: "string",
+                                description: "Descripción del evento",
+                            },
+                            startDateTime: {
+                                type: "string",
+                                description: "Fecha y hora de inicio (ISO 8601; sin zona se interpreta en 'timeZone')",
+                            },
+                            endDateTime: {
+                                type: "string",
+                                description: "Fecha y hora de fin (ISO 8601; sin zona se interpreta en 'timeZone')",
+                            },
+                            location: {
+                                type: "string",
+                                description: "Ubicación del evento",
+                            },
+                            attendees: {
+                                type: "array",
+                                items: { type: "string" },
+                                description: "Lista de emails de asistentes",
+                            },
+                            addMeet: {
+                                type: "boolean",
+                                description: "Crea una videollamada de Google Meet para el evento",
+                            },
+                            ...EVENT_SCHEDULE_PROPERTIES,
+                            timeZone: TIME_ZONE_SCHEMA,
+                        },
+                        required: ["summary"],
+                    },
+                },
+                {
+                    name: "calendar_update_event",
+                    description: "Actualiza un evento existente del calendario",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            calendarId: {
+                                type: "string",
+                                description: "ID del calendario (default: 'primary'). Ver calendar_list_calendars",
+                            },
+                            eventId: {
+                                type: "string",
+                                description: "ID del evento a actualizar",
+                            },
+                            summary: {
+                                type: "string",
+                                description: "Título del evento",
+                            },
+                            description: {
+                                type: "string",
+                                description: "Descripción del evento",
+                            },
+                            startDateTime: {
+                                type: "string",
+                                description: "Fecha y hora de inicio (ISO 8601; sin zona se interpreta en 'timeZone')",
+                            },
+                            endDateTime: {
+                                type: "string",
+                                description: "Fecha y hora de fin (ISO 8601; sin zona se interpreta en 'timeZone')",
+                            },
+                            location: {
+                                type: "string",
+                                description: "Ubicación del evento",
+                            },
+                            ...EVENT_SCHEDULE_PROPERTIES,
+                            scope: EVENT_SCOPE_SCHEMA,
+                            timeZone: TIME_ZONE_SCHEMA,
+                        },
+                        required: ["eventId"],
+                    },
+                },
+                {
+                    name: "calendar_delete_event",
+                    description: "Elimina un evento del calendario",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            calendarId: {
+                                type: "string",
+                                description: "ID del calendario (default: 'primary'). Ver calendar_list_calendars",
+                            },
+                            eventId: {
+                                type: "string",
+                                description: "ID del evento a eliminar",
+                            },
+                            scope: EVENT_SCOPE_SCHEMA,
+                            timeZone: TIME_ZONE_SCHEMA,
+                        },
+                        required: ["eventId"],
+                    },
+                },
+                {
+                    name: "calendar_find_free_slots",
+                    description:
+                        "Encuentra horarios libres para una reunión dentro de la jornada laboral, considerando tus calendarios y los de los asistentes",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            calendarId: {
+                                type: "string",
+                                description: "ID del calendario (default: 'primary'). Ver calendar_list_calendars",
+                            },
+                            calendarIds: {
+                                type: "array",
+                                items: { type: "string" },
+                                description: "Varios calendarios: solo se devuelven huecos libres en todos ellos",
+                            },
+                            attendees: {
+                                type: "array",
+                                items: { type: "string" },
+                                description: "Emails de los asistentes cuya disponibilidad se tiene en cuenta",
+                            },
+                            startDate: {
+                                type: "string",
+                                description: "Fecha de inicio para buscar (formato ISO 8601)",
+                            },
+                            endDate: {
+                                type: "string",
+                                description: "Fecha de fin para buscar (formato ISO 8601)",
+                            },
+                            duration: {
+                                type: "number",
+                                description: "Duración deseada en minutos",
+                            },
+                            workingHoursStart: {
+                                type: "string",
+                                description: "Inicio de la jornada (HH:MM, default: '09:00')",
+                            },
+                            workingHoursEnd: {
+                                type: "string",
+                                description: "Fin de la jornada (HH:MM, default: '18:00')",
+                            },
+                            workingDays: {
+                                type: "array",
+                                items: { type: "string" },
+                                description: "Días laborables (default: ['MO', 'TU', 'WE', 'TH', 'FR'])",
+                            },
+                            bufferMinutes: {
+                                type: "number",
+                                description: "Margen libre antes y después de cada reunión existente (default: 0)",
+                            },
+                            stepMinutes: {
+                                type: "number",
+                                description: "Cada cuántos minutos se proponen horarios de inicio (default: 30)",
+                            },
+                            maxResults: {
+                                type: "number",
+                                description: "Número máximo de horarios a devolver (default: 20)",
+                            },
+                            timeZone: TIME_ZONE_SCHEMA,
+                        },
+                        required: ["startDate", "endDate", "duration"],
+                    },
+                },
+                // Google Docs Tools
+                {
+                    name: "docs_create",
+                    description: "Crea un nuevo documento de Google Docs",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            title: {
+                                type: "string",
+                                description: "Título del documento",
+                            },
+                            content: {
+                                type: "string",
+                                description: "Contenido inicial del documento (texto plano)",
+                            },
+                        },
+                        required: ["title"],
+                    },
+                },
+                {
+                    name: "docs_get",
+                    description: "Obtiene el contenido de un documento de Google Docs",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            documentId: {
+                                type: "string",
+                                description: "ID del documento a obtener",
+                            },
+                        },
+                        required: ["documentId"],
+                    },
+                },
+                {
+                    name: "docs_append_text",
+                    description: "Añade texto al final de un documento",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            documentId: {
+                                type: "string",
+                                description: "ID del documento",
+                            },
+                            text: {
+                                type: "string",
+                                description: "Texto a añadir",
+                            },
+                        },
+                        required: ["documentId", "text"],
+                    },
+                },
+                {
+                    name: "docs_insert_text",
+                    description: "Inserta texto en una posición específica del documento",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            documentId: {
+                                type: "string",
+                                description: "ID del documento",
+                            },
+                            text: {
+                                type: "string",
+                                description: "Texto a insertar",
+                            },
+                            index: {
+                                type: "number",
+                                description: "Posición donde insertar el texto (1 es el inicio del documento)",
+                            },
+                        },
+                        required: ["documentId", "text", "index"],
+                    },
+                },
+                {
+                    name: "docs_replace_text",
+                    description: "Reemplaza texto en un documento",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            documentId: {
+                                type: "string",
+                                description: "ID del documento",
+                            },
+                            findText: {
+                                type: "string",
+                                description: "Texto a buscar",
+                            },
+                            replaceText: {
+                                type: "string",
+                                description: "Texto de reemplazo",
+                            },
+                        },
+                        required: ["documentId", "findText", "replaceText"],
+                    },
+                },
+                {
+                    name: "docs_format_text",
+                    description: "Aplica formato a un rango de texto",
                     inputSchema: {
                         type: "object",
                         properties: {
-                            query: {
+                            documentId: {
                                 type: "string",
-                                description: "Búsqueda de Gmail (ej: 'is:unread', 'from:user@example.com')",
+                                description: "ID del documento",
+                            },
+                            startIndex: {
+                                type: "number",
+                                description: "Índice de inicio del rango",
+                            },
+                            endIndex: {
+                                type: "number",
+                                description: "Índice de fin del rango",
+                            },
+                            bold: {
+                                type: "boolean",
+                                description: "Aplicar negrita",
+                            },
+                            italic: {
+                                type: "boolean",
+                                description: "Aplicar cursiva",
+                            },
+                            fontSize: {
+                                type: "number",
+                                description: "Tamaño de fuente en puntos",
                             },
+                        },
+                        required: ["documentId", "startIndex", "endIndex"],
+                    },
+                },
+                {
+                    name: "docs_list_recent",
+                    description: "Lista documentos recientes de Google Docs",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
                             maxResults: {
                                 type: "number",
-                                description: "Máximo de mensajes a retornar (default: 10)",
+                                description: "Máximo de documentos a retornar (default: 10)",
                                 default: 10,
                             },
                         },
                     },
                 },
                 {
-                    name: "gmail_get_message",
-                    description: "Obtiene un email específico por su ID",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            messageId: {
-                                type: "string",
-                                description: "ID del mensaje a obtener",
-                            },
-                        },
-                        required: ["messageId"],
-                    },
+                    name: "docs_share",
+                    description: "Comparte un documento con otros usuarios",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            documentId: {
+                                type: "string",
+                                description: "ID del documento",
+                            },
+                            email: {
+                                type: "string",
+                                description: "Email del usuario con quien compartir",
+                            },
+                            role: {
+                                type: "string",
+                                description: "Rol: 'reader', 'writer', o 'commenter'",
+                                enum: ["reader", "writer", "commenter"],
+                            },
+                        },
+                        required: ["documentId", "email", "role"],
+                    },
+                },
+                // 🆕 GOOGLE FIT TOOLS
+                {
+                    name: "fit_get_activity_summary",
+                    description: "Obtiene datos agregados de pasos y actividad física en un período. Usa milisegundos de Unix para el tiempo.",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            startTimeMillis: {
+                                type: "number",
+                                description: "Tiempo de inicio del período a consultar (Milisegundos de Unix).",
+                            },
+                            endTimeMillis: {
+                                type: "number",
+                                description: "Tiempo de fin del período a consultar (Milisegundos de Unix).",
+                            },
+                            timeZone: TIME_ZONE_SCHEMA,
+                        },
+                        required: ["startTimeMillis", "endTimeMillis"],
+                    },
+                },
+                {
+                    name: "fit_record_activity_session",
+                    description: "Registra manualmente una sesión de actividad física (ej: correr, caminar) en Google Fit.",
+                    inputSchema: {
+                        type: "object",
+                        properties: {
+                            activityType: {
+                                type: "string",
+                                description: "Tipo de actividad (ej: 'running', 'walking', 'yoga'). Usa los códigos de la API de Fit.",
+                            },
+                            durationMinutes: {
+                                type: "number",
+                                description: "Duración de la actividad en minutos.",
+                            },
+                            startTimeMillis: {
+                                type: "number",
+                                description: "Tiempo de inicio de la actividad (Milisegundos de Unix).",
+                            },
+                        },
+                        required: ["activityType", "durationMinutes", "startTimeMillis"],
+                    },
+                },
+            ],
+        }));
+
+        this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
+            const { name, arguments: args } = request.params;
+
+            try {
+                // Verificar token antes de cada operación
+                await this.ensureValidToken();
+
+                switch (name) {
+                    // Gmail handlers
+                    case "gmail_list_messages":
+                        return await this.listGmailMessages(args);
+                    case "gmail_get_message":
+                        return await this.getGmailMessage(args);
+                    case "gmail_send_message":
+                        return await this.sendGmailMessage(args);
+                    case "gmail_create_draft":
+                        return await this.createGmailDraft(args);
+                    case "gmail_list_send_as":
+                        return await this.listSendAs(args);
+                    case "gmail_schedule_send":
+                        return await this.scheduleGmailMessage(args);
+                    case "gmail_list_scheduled":
+                        return await this.listScheduledMessages(args);
+                    case "gmail_cancel_scheduled":
+                        return await this.cancelScheduledMessage(args);
+                    case "gmail_list_drafts":
+                        return await this.listGmailDrafts(args);
+                    case "gmail_get_draft":
+                        return await this.getGmailDraft(args);
+                    case "gmail_update_draft":
+                        return await this.updateGmailDraft(args);
+                    case "gmail_send_draft":
+                        return await this.sendGmailDraft(args);
+                    case "gmail_delete_draft":
+                        return await this.deleteGmailDraft(args);
+                    case "gmail_changes_since":
+                        return await this.getGmailChangesSince(args);
+                    case "gmail_get_thread":
+                        return await this.getGmailThread(args);
+                    case "gmail_reply":
+                        return await this.replyGmailMessage(args);
+                    case "gmail_forward":
+                        return await this.forwardGmailMessage(args);
+                    case "gmail_list_attachments":
+                        return await this.listGmailAttachments(args);
+                    case "gmail_get_attachment":
+                        return await this.getGmailAttachment(args);
+                    case "gmail_list_labels":
+                        return await this.listGmailLabels(args);
+                    case "gmail_create_label":
+                        return await this.createGmailLabel(args);
+                    case "gmail_rename_label":
+                        return await this.renameGmailLabel(args);
+                    case "gmail_delete_label":
+                        return await this.deleteGmailLabel(args);
+                    case "gmail_modify_labels":
+                        return await this.modifyGmailLabels(args);
+                    case "gmail_mailbox_action":
+                        return await this.applyMailboxAction(args);
+                    case "gmail_bulk_modify":
+                        return await this.bulkModifyGmail(args);
+                    case "gmail_list_filters":
+                        return await this.listGmailFilters(args);
+                    case "gmail_create_filter":
+                        return await this.createGmailFilter(args);
+                    case "gmail_delete_filter":
+                        return await this.deleteGmailFilter(args);
+                    case "gmail_get_vacation":
+                        return await this.getGmailVacation(args);
+                    case "gmail_set_vacation":
+                        return await this.setGmailVacation(args);
+                    case "gmail_save_template":
+                        return await this.saveGmailTemplate(args);
+                    case "gmail_list_templates":
+                        return await this.listGmailTemplates(args);
+                    case "gmail_delete_template":
+                        return await this.deleteGmailTemplate(args);
+                    case "gmail_mail_merge":
+                        return await this.mailMerge(args);
+                    case "gmail_inbox_stats":
+                        return await this.getInboxStats(args);
+                    case "gmail_find_unanswered":
+                        return await this.findUnansweredThreads(args);
+                    case "gmail_scan_newsletters":
+                        return await this.scanNewsletters(args);
+                    case "gmail_unsubscribe":
+                        return await this.unsubscribeFromList(args);
+
+                    // Calendar handlers
+                    case "calendar_list_calendars":
+                        return await this.listCalendars(args);
+                    case "calendar_list_events":
+                        return await this.listCalendarEvents(args);
+                    case "calendar_create_event":
+                        return await this.createCalendarEvent(args);
+                    case "calendar_update_event":
+                        return await this.updateCalendarEvent(args);
+                    case "calendar_delete_event":
+                        return await this.deleteCalendarEvent(args);
+                    case "calendar_find_free_slots":
+                        return await this.findFreeSlots(args);
+
+                    // Google Docs handlers
+                    case "docs_create":
+                        return await this.createDoc(args);
+                    case "docs_get":
+                        return await this.getDoc(args);
+                    case "docs_append_text":
+                        return await this.appendText(args);
+                    case "docs_insert_text":
+                        return await this.insertText(args);
+                    case "docs_replace_text":
+                        return await this.replaceText(args);
+                    case "docs_format_text":
+                        return await this.formatText(args);
+                    case "docs_list_recent":
+                        return await this.listRecentDocs(args);
+                    case "docs_share":
+                        return await this.shareDoc(args);
+                    // 🆕 GOOGLE FIT HANDLERS
+                    case "fit_get_activity_summary":
+                        return await this.getActivitySummary(args);
+                    case "fit_record_activity_session":
+                        return await this.recordActivitySession(args);
+
+                    default:
+                        throw new Error(`Herramienta desconocida: ${name}`);
+                }
+            } catch (error) {
+                console.error(`Error en ${name}:`, error.message);
+                return {
+                    content: [
+                        {
+                            type: "text",
+                            text: `Error: ${error.message}`,
+                        },
+                    ],
+                    isError: true,
+                };
+            }
+        });
+    }
+
+    // Gmail Methods
+    async listGmailMessages(args) {
+        const { maxResults = 10, pageToken } = args;
+        const pageSize = Math.min(Math.max(1, Math.floor(maxResults)), GMAIL_MAX_PAGE_SIZE);
+        const query = buildGmailQuery(args);
+
+        const res = await this.gmail.users.messages.list({
+            userId: "me",
+            q: query,
+            maxResults: pageSize,
+            pageToken,
+        });
+
+        const messageDetails = await this.fetchMessageSummaries((res.data.messages || []).map((m) => m.id));
+
+        const result = {
+            query,
+            messages: messageDetails,
+            resultSizeEstimate: res.data.resultSizeEstimate || 0,
+            nextPageToken: res.data.nextPageToken || null,
+        };
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify(result, null, 2),
+                },
+            ],
+        };
+    }
+
+    async getGmailMessage(args) {
+        const { messageId, format = "clean" } = args;
+        const res = await this.gmail.users.messages.get({
+            userId: "me",
+            id: messageId,
+            format: "full",
+        });
+
+        const message = format === "raw" ? res.data : parseGmailMessage(res.data);
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify(message, null, 2),
+                },
+            ],
+        };
+    }
+
+    /**
+     * Resuelve la ruta de un adjunto local dentro de ATTACHMENTS_DIR (las rutas
+     * relativas parten de ella). Se comparan las rutas reales para que ni '..'
+     * ni un enlace simbólico permitan adjuntar otros archivos, como token.json.
+     */
+    async resolveAttachmentPath(filePath) {
+        const baseDir = await fs.realpath(ATTACHMENTS_DIR).catch(() => {
+            throw new Error(`La carpeta de adjuntos no existe: ${ATTACHMENTS_DIR} (configurable con GMAIL_ATTACHMENTS_DIR)`);
+        });
+        const realPath = await fs.realpath(path.resolve(baseDir, filePath)).catch(() => {
+            throw new Error(`No se encontró el archivo ${filePath} en la carpeta de adjuntos`);
+        });
+
+        const relative = path.relative(baseDir, realPath);
+        if (!relative || relative === ".." || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+            throw new Error(`Solo se pueden adjuntar archivos de la carpeta ${ATTACHMENTS_DIR}`);
+        }
+        return realPath;
+    }
+
+    /**
+     * Resuelve los adjuntos recibidos en una herramienta (ruta local, archivo de
+     * Drive o base64) a { filename, mimeType, content } y valida el tamaño total.
+     */
+    async resolveAttachments(attachments = []) {
+        const resolved = [];
+
+        for (const attachment of attachments) {
+            if (attachment.path) {
+                const filePath = await this.resolveAttachmentPath(attachment.path);
+                const content = await fs.readFile(filePath);
+                const filename = attachment.filename || path.basename(filePath);
+                resolved.push({
+                    filename,
+                    mimeType: attachment.mimeType || detectMimeType(filename),
+                    content,
+                });
+            } else if (attachment.driveFileId) {
+                resolved.push(await this.downloadDriveFile(attachment.driveFileId, attachment));
+            } else if (attachment.data) {
+                if (!attachment.filename) {
+                    throw new Error("Los adjuntos en base64 necesitan 'filename'");
+                }
+                resolved.push({
+                    filename: attachment.filename,
+                    mimeType: attachment.mimeType || detectMimeType(attachment.filename),
+                    content: Buffer.from(attachment.data, "base64"),
+                });
+            } else {
+                throw new Error("Cada adjunto debe indicar 'path', 'driveFileId' o 'data'");
+            }
+        }
+
+        const totalSize = resolved.reduce((sum, a) => sum + a.content.length, 0);
+        if (totalSize > GMAIL_MAX_ATTACHMENTS_SIZE) {
+            const sizeMb = (totalSize / (1024 * 1024)).toFixed(1);
+            throw new Error(`Los adjuntos ocupan ${sizeMb} MB y Gmail admite como máximo 25 MB`);
+        }
+
+        return resolved;
+    }
+
+    async downloadDriveFile(fileId, overrides = {}) {
+        const meta = await this.drive.files.get({
+            fileId,
+            fields: "name, mimeType, size",
+        });
+
+        const exportFormat = GOOGLE_EXPORT_FORMATS[meta.data.mimeType];
+        let res;
+        let filename = overrides.filename || meta.data.name;
+        let mimeType = meta.data.mimeType;
+
+        if (exportFormat) {
+            res = await this.drive.files.export(
+                { fileId, mimeType: exportFormat.mimeType },
+                { responseType: "arraybuffer" }
+            );
+            mimeType = exportFormat.mimeType;
+            if (!overrides.filename) {
+                filename += exportFormat.extension;
+            }
+        } else if (meta.data.mimeType.startsWith("application/vnd.google-apps.")) {
+            throw new Error(`El archivo de Drive ${fileId} (${meta.data.mimeType}) no se puede adjuntar`);
+        } else {
+            if (Number(meta.data.size) > GMAIL_MAX_ATTACHMENTS_SIZE) {
+                throw new Error(`El archivo de Drive ${fileId} supera el límite de 25 MB de Gmail`);
+            }
+            res = await this.drive.files.get(
+                { fileId, alt: "media" },
+                { responseType: "arraybuffer" }
+            );
+        }
+
+        return {
+            filename,
+            mimeType: overrides.mimeType || mimeType,
+            content: Buffer.from(res.data),
+        };
+    }
+
+    // Los mensajes grandes se suben como media: el campo raw del JSON tiene un límite menor
+    async sendRawMessage(mimeMessage, { threadId } = {}) {
+        const requestBody = threadId ? { threadId } : {};
+
+        if (mimeMessage.length > GMAIL_RAW_UPLOAD_LIMIT) {
+            return this.gmail.users.messages.send({
+                userId: "me",
+                requestBody,
+                media: {
+                    mimeType: "message/rfc822",
+                    body: mimeMessage,
+                },
+            });
+        }
+
+        return this.gmail.users.messages.send({
+            userId: "me",
+            requestBody: {
+                ...requestBody,
+                raw: encodeBase64Url(mimeMessage),
+            },
+        });
+    }
+
+    // Crea un borrador, o reemplaza el contenido de uno existente si se pasa draftId
+    async saveRawDraft(mimeMessage, { threadId, draftId } = {}) {
+        const message = threadId ? { threadId } : {};
+        const method = draftId ? "update" : "create";
+        const target = draftId ? { id: draftId } : {};
+
+        if (mimeMessage.length > GMAIL_RAW_UPLOAD_LIMIT) {
+            return this.gmail.users.drafts[method]({
+                userId: "me",
+                ...target,
+                requestBody: { message },
+                media: {
+                    mimeType: "message/rfc822",
+                    body: mimeMessage,
+                },
+            });
+        }
+
+        return this.gmail.users.drafts[method]({
+            userId: "me",
+            ...target,
+            requestBody: {
+                message: {
+                    ...message,
+                    raw: encodeBase64Url(mimeMessage),
+                },
+            },
+        });
+    }
+
+    // Dirección principal de la cuenta, cacheada tras la primera consulta
+    async getUserEmail() {
+        if (!this.userEmail) {
+            const res = await this.gmail.users.getProfile({ userId: "me" });
+            this.userEmail = res.data.emailAddress;
+        }
+        return this.userEmail;
+    }
+
+    // Alias "Enviar como" de la cuenta, cacheados tras la primera consulta
+    async getSendAsList() {
+        if (!this.sendAsList) {
+            const res = await this.gmail.users.settings.sendAs.list({ userId: "me" });
+            this.sendAsList = res.data.sendAs || [];
+        }
+        return this.sendAsList;
+    }
+
+    // Devuelve el alias pedido (o el predeterminado si no se indica ninguno)
+    async resolveSendAs(from) {
+        const aliases = await this.getSendAsList();
+        if (!from) {
+            const fallback = aliases.find((alias) => alias.isDefault) || aliases.find((alias) => alias.isPrimary);
+            return fallback || { sendAsEmail: await this.getUserEmail() };
+        }
+
+        const email = extractEmail(from);
+        const alias = aliases.find((a) => a.sendAsEmail.toLowerCase() === email);
+        if (!alias) {
+            throw new Error(`${from} no es un alias 'Enviar como' de la cuenta. Usa gmail_list_send_as para verlos`);
+        }
+        if (alias.verificationStatus && alias.verificationStatus !== "accepted") {
+            throw new Error(`El alias ${alias.sendAsEmail} todavía no está verificado`);
+        }
+        return alias;
+    }
+
+    // Direcciones propias (principal y alias) en minúsculas
+    async getOwnAddresses() {
+        const aliases = await this.getSendAsList();
+        return new Set([
+            (await this.getUserEmail()).toLowerCase(),
+            ...aliases.map((alias) => alias.sendAsEmail.toLowerCase()),
+        ]);
+    }
+
+    async listSendAs() {
+        const aliases = (await this.getSendAsList()).map((alias) => ({
+            sendAsEmail: alias.sendAsEmail,
+            displayName: alias.displayName,
+            isDefault: Boolean(alias.isDefault),
+            isPrimary: Boolean(alias.isPrimary),
+            verificationStatus: alias.verificationStatus,
+            signature: alias.signature ? htmlToText(alias.signature) : "",
+        }));
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify(aliases, null, 2),
+                },
+            ],
+        };
+    }
+
+    /**
+     * Compone un email nuevo: valida el cuerpo, resuelve el alias y los adjuntos
+     * y añade la firma. `sender` y `resolvedAttachments` permiten reutilizar lo
+     * ya resuelto (la combinación de correspondencia compone muchos a la vez).
+     * Devuelve { message, attachments }.
+     */
+    async composeMessage({
+        to,
+        cc,
+        bcc,
+        subject,
+        body,
+        html,
+        attachments,
+        from,
+        includeSignature = true,
+        sender,
+        resolvedAttachments,
+    }) {
+        if (body === undefined && !html) {
+            throw new Error("Indica 'body' o 'html'");
+        }
+        const identity = sender || (await this.resolveSendAs(from));
+        const signed = includeSignature ? applySignature({ body, html }, identity.signature) : { body, html };
+        const resolved = resolvedAttachments || (await this.resolveAttachments(attachments));
+        const message = buildMimeMessage({
+            from: formatSender(identity),
+            to,
+            cc,
+            bcc,
+            subject,
+            ...signed,
+            attachments: resolved,
+        });
+        return { message, attachments: resolved };
+    }
+
+    async sendGmailMessage(args) {
+        const { message, attachments: resolved } = await this.composeMessage(args);
+        const res = await this.sendRawMessage(message);
+
+        const attachmentInfo = resolved.length > 0 ? ` (${resolved.length} adjunto(s))` : "";
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `Email enviado exitosamente${attachmentInfo}. ID del mensaje: ${res.data.id}`,
+                },
+            ],
+        };
+    }
+
+    async createGmailDraft(args) {
+        const { message, attachments: resolved } = await this.composeMessage(args);
+        const res = await this.saveRawDraft(message);
+
+        const attachmentInfo = resolved.length > 0 ? ` (${resolved.length} adjunto(s))` : "";
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `Borrador creado exitosamente${attachmentInfo}. ID del borrador: ${res.data.id}`,
+                },
+            ],
+        };
+    }
+
+    // Scheduled Send Methods
+
+    /**
+     * Serializa las modificaciones del índice de la bandeja de salida para que
+     * el temporizador y las herramientas no se pisen los cambios.
+     */
+    async updateOutbox(fn) {
+        const run = this.outboxQueue.then(async () => {
+            const outbox = await readJsonFile(OUTBOX_INDEX_PATH, []);
+            const result = await fn(outbox);
+            await writeJsonFile(OUTBOX_INDEX_PATH, outbox);
+            return result;
+        });
+        this.outboxQueue = run.catch(() => {});
+        return run;
+    }
+
+    async scheduleGmailMessage(args) {
+        const { to, subject, sendAt } = args;
+
+        // Sin zona, la hora se interpreta en la zona horaria del calendario
+        const sendTime = parseDateInZone(sendAt, this.timeZone);
+        if (sendTime.getTime() <= Date.now()) {
+            throw new Error(`La fecha de envío ya pasó: ${sendAt}`);
+        }
+
+        // El mensaje se compone ahora: los adjuntos quedan congelados en la bandeja de salida
+        const { message } = await this.composeMessage(args);
+
+        const id = crypto.randomUUID();
+        await fs.mkdir(OUTBOX_DIR, { recursive: true });
+        await fs.writeFile(path.join(OUTBOX_DIR, `${id}.eml`), message);
+
+        await this.updateOutbox((outbox) => {
+            outbox.push({
+                id,
+                to,
+                subject,
+                sendAt: sendTime.toISOString(),
+                createdAt: new Date().toISOString(),
+                status: "pending",
+                attempts: 0,
+            });
+        });
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `Email programado exitosamente para ${formatDateInZone(sendTime, this.timeZone)}. ID del envío programado: ${id}`,
+                },
+            ],
+        };
+    }
+
+    async listScheduledMessages() {
+        const outbox = await this.updateOutbox((entries) => [...entries]);
+        outbox.sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify(outbox, null, 2),
+                },
+            ],
+        };
+    }
+
+    async cancelScheduledMessage(args) {
+        const { scheduledId } = args;
+
+        await this.updateOutbox((outbox) => {
+            const index = outbox.findIndex((entry) => entry.id === scheduledId);
+            if (index === -1) {
+                throw new Error(`No existe el envío programado ${scheduledId}`);
+            }
+            outbox.splice(index, 1);
+        });
+        await fs.rm(path.join(OUTBOX_DIR, `${scheduledId}.eml`), { force: true });
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `Envío programado cancelado exitosamente. ID: ${scheduledId}`,
+                },
+            ],
+        };
+    }
+
+    // Envía los mensajes de la bandeja de salida cuya hora ya llegó
+    async processOutbox() {
+        await this.updateOutbox(async (outbox) => {
+            const now = Date.now();
+            const due = outbox.filter((entry) => entry.status === "pending" && new Date(entry.sendAt).getTime() <= now);
+            if (due.length === 0) return;
+
+            await this.ensureValidToken();
+
+            for (const entry of due) {
+                const emlPath = path.join(OUTBOX_DIR, `${entry.id}.eml`);
+                try {
+                    const message = await fs.readFile(emlPath, "utf-8");
+                    const res = await this.sendRawMessage(message);
+                    outbox.splice(outbox.indexOf(entry), 1);
+                    await fs.rm(emlPath, { force: true });
+                    console.error(`📤 Envío programado ${entry.id} enviado. ID del mensaje: ${res.data.id}`);
+                } catch (error) {
+                    entry.attempts += 1;
+                    entry.lastError = error.message;
+                    if (entry.attempts >= OUTBOX_MAX_ATTEMPTS) {
+                        entry.status = "failed";
+                    }
+                    console.error(`❌ Error en el envío programado ${entry.id}:`, error.message);
+                }
+            }
+        });
+    }
+
+    startOutboxTimer() {
+        const tick = () => {
+            this.processOutbox().catch((error) => {
+                console.error("❌ Error al procesar la bandeja de salida:", error.message);
+            });
+        };
+
+        // Se revisa al arrancar para enviar lo que venció con el servidor apagado
+        tick();
+        this.outboxTimer = setInterval(tick, OUTBOX_POLL_INTERVAL);
+        this.outboxTimer.unref();
+    }
+
+    async listGmailDrafts(args) {
+        const { query, maxResults = 10, pageToken } = args;
+        const res = await this.gmail.users.drafts.list({
+            userId: "me",
+            q: query,
+            maxResults: Math.min(Math.max(1, Math.floor(maxResults)), GMAIL_MAX_PAGE_SIZE),
+            pageToken,
+        });
+
+        const drafts = await mapWithConcurrency(res.data.drafts || [], GMAIL_FETCH_CONCURRENCY, async (draft) => {
+            const detail = await this.gmail.users.drafts.get({
+                userId: "me",
+                id: draft.id,
+                format: "metadata",
+            });
+            const message = detail.data.message;
+            const headers = message.payload ? message.payload.headers : [];
+            return {
+                draftId: draft.id,
+                messageId: message.id,
+                threadId: message.threadId,
+                to: getHeader(headers, "To"),
+                subject: getHeader(headers, "Subject"),
+                snippet: message.snippet,
+            };
+        });
+
+        const result = {
+            drafts,
+            resultSizeEstimate: res.data.resultSizeEstimate || 0,
+            nextPageToken: res.data.nextPageToken || null,
+        };
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify(result, null, 2),
+                },
+            ],
+        };
+    }
+
+    async getGmailDraft(args) {
+        const { draftId } = args;
+        const res = await this.gmail.users.drafts.get({
+            userId: "me",
+            id: draftId,
+            format: "full",
+        });
+
+        const draft = {
+            draftId: res.data.id,
+            ...parseGmailMessage(res.data.message),
+        };
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify(draft, null, 2),
+                },
+            ],
+        };
+    }
+
+    async updateGmailDraft(args) {
+        const { draftId, to, cc, bcc, subject, body, html, attachments } = args;
+        const res = await this.gmail.users.drafts.get({
+            userId: "me",
+            id: draftId,
+            format: "full",
+        });
+
+        const current = res.data.message;
+        const parsed = parseGmailMessage(current);
+        const currentParts = walkMimeParts(current.payload);
+        const currentHeaders = current.payload.headers;
+
+        // Si cambia alguno de los cuerpos se descartan ambos anteriores para que texto y HTML no queden desfasados
+        let newBody = body;
+        let newHtml = html;
+        if (body === undefined && html === undefined) {
+            newBody = parsed.body;
+            newHtml = currentParts.html.length > 0 ? currentParts.html.join("\n") : undefined;
+        }
+
+        // Sin 'attachments' se conservan los adjuntos del borrador
+        let resolved;
+        if (attachments === undefined) {
+            resolved = [];
+            for (const attachment of parsed.attachments) {
+                resolved.push(await this.fetchGmailAttachment(current.id, {
+                    partId: attachment.partId,
+                    payload: current.payload,
+                }));
+            }
+        } else {
+            resolved = await this.resolveAttachments(attachments);
+        }
+
+        const message = buildMimeMessage({
+            from: parsed.headers.from,
+            to: to ?? parsed.headers.to,
+            cc: cc ?? parsed.headers.cc,
+            bcc: bcc ?? parsed.headers.bcc,
+            subject: subject ?? parsed.headers.subject,
+            body: newBody,
+            html: newHtml,
+            attachments: resolved,
+            headers: {
+                "In-Reply-To": getHeader(currentHeaders, "In-Reply-To"),
+                References: getHeader(currentHeaders, "References"),
+            },
+        });
+
+        const updated = await this.saveRawDraft(message, { threadId: current.threadId, draftId });
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `Borrador actualizado exitosamente. ID del borrador: ${updated.data.id}`,
+                },
+            ],
+        };
+    }
+
+    async sendGmailDraft(args) {
+        const { draftId } = args;
+        const res = await this.gmail.users.drafts.send({
+            userId: "me",
+            requestBody: { id: draftId },
+        });
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `Borrador enviado exitosamente. ID del mensaje: ${res.data.id}`,
+                },
+            ],
+        };
+    }
+
+    async deleteGmailDraft(args) {
+        const { draftId } = args;
+        await this.gmail.users.drafts.delete({
+            userId: "me",
+            id: draftId,
+        });
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `Borrador eliminado exitosamente. ID del borrador: ${draftId}`,
+                },
+            ],
+        };
+    }
+
+    /**
+     * Metadatos resumidos (remitente, asunto, fecha, etiquetas) de una lista de
+     * mensajes. Las cabeceras de `headers` se añaden en `headers`, con el nombre
+     * en minúsculas. Los mensajes que ya no existen se omiten.
+     */
+    async fetchMessageSummaries(messageIds, { headers: extraHeaders = [] } = {}) {
+        const summaries = await mapWithConcurrency(messageIds, GMAIL_FETCH_CONCURRENCY, async (id) => {
+            let detail;
+            try {
+                detail = await this.gmail.users.messages.get({
+                    userId: "me",
+                    id,
+                    format: "metadata",
+                    metadataHeaders: ["From", "Subject", "Date", ...extraHeaders],
+                });
+            } catch (error) {
+                if (Number(error.code) === 404) return null;
+                throw error;
+            }
+            const headers = detail.data.payload.headers;
+            const summary = {
+                id,
+                threadId: detail.data.threadId,
+                from: getHeader(headers, "From"),
+                subject: getHeader(headers, "Subject"),
+                date: getHeader(headers, "Date"),
+                labelIds: detail.data.labelIds || [],
+                snippet: detail.data.snippet,
+                internalDate: Number(detail.data.internalDate),
+            };
+            if (extraHeaders.length > 0) {
+                summary.headers = Object.fromEntries(
+                    extraHeaders.map((name) => [name.toLowerCase(), getHeader(headers, name)])
+                );
+            }
+            return summary;
+        });
+        return summaries.filter(Boolean);
+    }
+
+    /**
+     * Sincronización completa: guarda el historyId actual y devuelve los
+     * mensajes más recientes como estado de partida.
+     */
+    async resyncGmailHistory({ labelId, maxResults, reason }) {
+        // El historyId se toma antes de listar para no perder cambios intermedios
+        const profile = await this.gmail.users.getProfile({ userId: "me" });
+        const res = await this.gmail.users.messages.list({
+            userId: "me",
+            labelIds: labelId ? [labelId] : undefined,
+            maxResults: Math.min(maxResults, GMAIL_MAX_PAGE_SIZE),
+        });
+
+        const messages = await this.fetchMessageSummaries((res.data.messages || []).map((m) => m.id));
+        await this.saveHistoryCursor(labelId, profile.data.historyId);
+
+        return {
+            mode: "full_resync",
+            reason,
+            historyId: profile.data.historyId,
+            recentMessages: messages,
+        };
+    }
+
+    // Un history.list filtrado por etiqueta no ve los cambios del resto: cada etiqueta guarda su propio historyId
+    async saveHistoryCursor(labelId, historyId) {
+        const state = await readJsonFile(GMAIL_HISTORY_STATE_PATH, {});
+        const cursors = state.cursors || {};
+        cursors[labelId || "*"] = { historyId, updatedAt: new Date().toISOString() };
+        await writeJsonFile(GMAIL_HISTORY_STATE_PATH, { cursors });
+    }
+
+    async getGmailChangesSince(args) {
+        const { labelId, maxResults = 20, reset = false } = args;
+        const state = await readJsonFile(GMAIL_HISTORY_STATE_PATH, {});
+        const cursor = (state.cursors || {})[labelId || "*"] || {};
+
+        let result;
+        if (reset || !cursor.historyId) {
+            const reason = reset ? "Reinicio solicitado" : "Primera sincronización";
+            result = await this.resyncGmailHistory({ labelId, maxResults, reason });
+        } else {
+            try {
+                result = await this.collectGmailHistory(cursor.historyId, { labelId, maxResults });
+            } catch (error) {
+                // 404: el historyId guardado ya no está disponible (caduca tras ~1 semana)
+                const status = error.code || (error.response && error.response.status);
+                if (Number(status) !== 404) {
+                    throw error;
+                }
+                result = await this.resyncGmailHistory({
+                    labelId,
+                    maxResults,
+                    reason: "El historial guardado caducó",
+                });
+            }
+        }
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify(result, null, 2),
+                },
+            ],
+        };
+    }
+
+    async collectGmailHistory(startHistoryId, { labelId, maxResults }) {
+        const changes = new Map();
+        const change = (id) => {
+            if (!changes.has(id)) {
+                changes.set(id, { added: false, deleted: false, labelsAdded: new Set(), labelsRemoved: new Set() });
+            }
+            return changes.get(id);
+        };
+
+        let pageToken;
+        let latestHistoryId = startHistoryId;
+        do {
+            const res = await this.gmail.users.history.list({
+                userId: "me",
+                startHistoryId,
+                labelId,
+                historyTypes: ["messageAdded", "messageDeleted", "labelAdded", "labelRemoved"],
+                maxResults: GMAIL_MAX_PAGE_SIZE,
+                pageToken,
+            });
+
+            for (const record of res.data.history || []) {
+                for (const { message } of record.messagesAdded || []) {
+                    change(message.id).added = true;
+                }
+                for (const { message } of record.messagesDeleted || []) {
+                    change(message.id).deleted = true;
+                }
+                for (const { message, labelIds } of record.labelsAdded || []) {
+                    labelIds.forEach((l) => change(message.id).labelsAdded.add(l));
+                }
+                for (const { message, labelIds } of record.labelsRemoved || []) {
+                    labelIds.forEach((l) => change(message.id).labelsRemoved.add(l));
+                }
+            }
+
+            latestHistoryId = res.data.historyId || latestHistoryId;
+            pageToken = res.data.nextPageToken;
+        } while (pageToken);
+
+        const added = [];
+        const deleted = [];
+        const relabeled = [];
+        for (const [id, entry] of changes) {
+            if (entry.deleted) {
+                // Un mensaje creado y borrado en el mismo intervalo no interesa
+                if (!entry.added) deleted.push(id);
+            } else if (entry.added) {
+                added.push(id);
+            } else {
+                relabeled.push({
+                    id,
+                    labelsAdded: [...entry.labelsAdded],
+                    labelsRemoved: [...entry.labelsRemoved],
+                });
+            }
+        }
+
+        const newMessages = await this.fetchMessageSummaries(added.slice(0, maxResults));
+        await this.saveHistoryCursor(labelId, latestHistoryId);
+
+        return {
+            mode: "incremental",
+            sinceHistoryId: startHistoryId,
+            historyId: latestHistoryId,
+            summary: {
+                added: added.length,
+                deleted: deleted.length,
+                relabeled: relabeled.length,
+            },
+            newMessages,
+            deletedMessageIds: deleted,
+            relabeled,
+        };
+    }
+
+    async getGmailThread(args) {
+        const { threadId, includeQuoted = false } = args;
+        const res = await this.gmail.users.threads.get({
+            userId: "me",
+            id: threadId,
+            format: "full",
+        });
+
+        const rawMessages = (res.data.messages || [])
+            .slice()
+            .sort((a, b) => Number(a.internalDate) - Number(b.internalDate));
+
+        if (rawMessages.length === 0) {
+            throw new Error(`El hilo ${threadId} no tiene mensajes`);
+        }
+
+        const messages = rawMessages.map(parseGmailMessage);
+        const participants = new Set();
+        const entries = messages.map((message, index) => {
+            participants.add(message.headers.from);
+            const text = includeQuoted ? message.body : stripQuotedReply(message.body);
+            const date = new Date(Number(rawMessages[index].internalDate)).toISOString();
+            const lines = [
+                `[${index + 1}] ${message.headers.from || "(desconocido)"} — ${date}`,
+                text || "(sin texto nuevo)",
+            ];
+            if (message.attachments.length > 0) {
+                lines.push(`Adjuntos: ${message.attachments.map((a) => a.filename).join(", ")}`);
+            }
+            return lines.join("\n");
+        });
+
+        const transcript = [
+            `Asunto: ${messages[0].headers.subject || "(sin asunto)"}`,
+            `Participantes: ${[...participants].filter(Boolean).join(", ")}`,
+            `Mensajes: ${messages.length}`,
+            "",
+            entries.join("\n\n"),
+        ].join("\n");
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: transcript,
                 },
+            ],
+        };
+    }
+
+    /**
+     * Compone la respuesta a un mensaje (destinatarios, cita, firma y cabeceras
+     * de hilo) sin enviarla. Devuelve { message, threadId }.
+     */
+    async composeReply({
+        messageId,
+        body,
+        replyAll = false,
+        includeQuote = true,
+        attachments,
+        from,
+        includeSignature = true,
+    }) {
+        const original = await this.gmail.users.messages.get({
+            userId: "me",
+            id: messageId,
+            format: "full",
+        });
+
+        const parsed = parseGmailMessage(original.data);
+        const originalHeaders = original.data.payload.headers;
+        const ownAddresses = await this.getOwnAddresses();
+        const fromMe = ownAddresses.has(extractEmail(parsed.headers.from || ""));
+
+        // Si el original lo enviamos nosotros, la respuesta va a sus destinatarios
+        let toList = fromMe
+            ? parseHeaderAddresses(parsed.headers.to)
+            : parseHeaderAddresses(parsed.headers["reply-to"] || parsed.headers.from);
+        let ccList = [];
+
+        if (replyAll) {
+            const seen = new Set([...ownAddresses, ...toList.map(extractEmail)]);
+            const others = [...parseHeaderAddresses(parsed.headers.to), ...parseHeaderAddresses(parsed.headers.cc)];
+            for (const address of others) {
+                const email = extractEmail(address);
+                if (!seen.has(email)) {
+                    seen.add(email);
+                    ccList.push(address);
+                }
+            }
+        }
+
+        if (toList.length === 0) {
+            toList = ccList;
+            ccList = [];
+        }
+        if (toList.length === 0) {
+            throw new Error("El email original no tiene destinatarios válidos a los que responder");
+        }
+
+        const sender = await this.resolveSendAs(from);
+        let text = includeSignature ? applySignature({ body }, sender.signature).body : body;
+        if (includeQuote) {
+            text += `\n\nEl ${parsed.headers.date}, ${parsed.headers.from} escribió:\n${quoteText(parsed.body)}`;
+        }
+
+        const originalMessageId = parsed.headers["message-id"];
+        const references = [getHeader(originalHeaders, "References"), originalMessageId].filter(Boolean).join(" ");
+        const resolved = await this.resolveAttachments(attachments);
+        const message = buildMimeMessage({
+            from: formatSender(sender),
+            to: toList.join(", "),
+            cc: ccList.join(", "),
+            subject: prefixSubject("Re", parsed.headers.subject),
+            body: text,
+            attachments: resolved,
+            headers: {
+                "In-Reply-To": originalMessageId,
+                References: references,
+            },
+        });
+
+        return { message, threadId: original.data.threadId };
+    }
+
+    async replyGmailMessage(args) {
+        const { draft = false } = args;
+        const { message, threadId } = await this.composeReply(args);
+
+        const options = { threadId };
+        const res = draft
+            ? await this.saveRawDraft(message, options)
+            : await this.sendRawMessage(message, options);
+
+        return {
+            content: [
                 {
-                    name: "gmail_send_message",
-                    description: "Envía un email a través de Gmail",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            to: {
-                                type: "string",
-                                description: "Dirección de email del destinatario",
-                            },
-                            subject: {
-                                type: "string",
-                                description: "Asunto del email",
-                            },
-                            body: {
-                                type: "string",
-                                description: "Cuerpo del email (texto plano)",
-                            },
-                        },
-                        required: ["to", "subject", "body"],
-                    },
+                    type: "text",
+                    text: draft
+                        ? `Borrador de respuesta creado exitosamente. ID del borrador: ${res.data.id}`
+                        : `Respuesta enviada exitosamente. ID del mensaje: ${res.data.id}\nHilo: ${res.data.threadId}`,
                 },
+            ],
+        };
+    }
+
+    async forwardGmailMessage(args) {
+        const {
+            messageId,
+            to,
+            body = "",
+            includeAttachments = true,
+            draft = false,
+            from,
+            includeSignature = true,
+        } = args;
+        const original = await this.gmail.users.messages.get({
+            userId: "me",
+            id: messageId,
+            format: "full",
+        });
+
+        const parsed = parseGmailMessage(original.data);
+        const forwardedHeader = [
+            "---------- Mensaje reenviado ----------",
+            `De: ${parsed.headers.from || ""}`,
+            `Fecha: ${parsed.headers.date || ""}`,
+            `Asunto: ${parsed.headers.subject || ""}`,
+            `Para: ${parsed.headers.to || ""}`,
+        ];
+        if (parsed.headers.cc) {
+            forwardedHeader.push(`Cc: ${parsed.headers.cc}`);
+        }
+
+        const sender = await this.resolveSendAs(from);
+        const note = includeSignature ? applySignature({ body }, sender.signature).body : body;
+        const text = [note, "", ...forwardedHeader, "", parsed.body].join("\n").trimStart();
+
+        const attachments = [];
+        if (includeAttachments) {
+            for (const attachment of parsed.attachments) {
+                attachments.push(await this.fetchGmailAttachment(messageId, {
+                    partId: attachment.partId,
+                    payload: original.data.payload,
+                }));
+            }
+        }
+
+        const originalMessageId = parsed.headers["message-id"];
+        const message = buildMimeMessage({
+            from: formatSender(sender),
+            to,
+            subject: prefixSubject("Fwd", parsed.headers.subject),
+            body: text,
+            attachments,
+            headers: {
+                References: originalMessageId,
+            },
+        });
+
+        const options = { threadId: original.data.threadId };
+        const res = draft
+            ? await this.saveRawDraft(message, options)
+            : await this.sendRawMessage(message, options);
+
+        const attachmentInfo = attachments.length > 0 ? ` (${attachments.length} adjunto(s))` : "";
+        return {
+            content: [
                 {
-                    name: "gmail_create_draft",
-                    description: "Crea un borrador de email en Gmail",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            to: {
-                                type: "string",
-                                description: "Dirección de email del destinatario",
-                            },
-                            subject: {
-                                type: "string",
-                                description: "Asunto del email",
-                            },
-                            body: {
-                                type: "string",
-                                description: "Cuerpo del email (texto plano)",
-                            },
-                        },
-                        required: ["to", "subject", "body"],
-                    },
+                    type: "text",
+                    text: draft
+                        ? `Borrador de reenvío creado exitosamente${attachmentInfo}. ID del borrador: ${res.data.id}`
+                        : `Email reenviado exitosamente${attachmentInfo}. ID del mensaje: ${res.data.id}`,
                 },
-                // Calendar Tools
+            ],
+        };
+    }
+
+    async listGmailAttachments(args) {
+        const { messageId } = args;
+        const res = await this.gmail.users.messages.get({
+            userId: "me",
+            id: messageId,
+            format: "full",
+        });
+
+        const { attachments } = parseGmailMessage(res.data);
+
+        return {
+            content: [
                 {
-                    name: "calendar_list_events",
-                    description: "Lista los próximos eventos del calendario",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            maxResults: {
-                                type: "number",
-                                description: "Máximo de eventos a retornar (default: 10)",
-                                default: 10,
-                            },
-                            timeMin: {
-                                type: "string",
-                                description: "Fecha/hora mínima para eventos (ISO 8601, default: ahora)",
-                            },
-                            timeMax: {
-                                type: "string",
-                                description: "Fecha/hora máxima para eventos (ISO 8601)",
-                            },
-                        },
-                    },
+                    type: "text",
+                    text: JSON.stringify(attachments, null, 2),
                 },
-                {
-                    name: "calendar_create_event",
-                    description: "Crea un nuevo evento en el calendario",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            summary: {
-                                type: "string",
-                                description: "Título del evento",
-                            },
-                            description: {
-                                type: "string",
-                                description: "Descripción del evento",
-                            },
-                            startDateTime: {
-                                type: "string",
-                                description: "Fecha y hora de inicio (formato ISO 8601)",
-                            },
-                            endDateTime: {
-                                type: "string",
-                                description: "Fecha y hora de fin (formato ISO 8601)",
-                            },
-                            location: {
-                                type: "string",
-                                description: "Ubicación del evento",
-                            },
-                            attendees: {
-                                type: "array",
-                                items: { type: "string" },
-                                description: "Lista de emails de asistentes",
-                            },
-                        },
-                        required: ["summary", "startDateTime", "endDateTime"],
+            ],
+        };
+    }
+
+    /**
+     * Descarga un adjunto identificado por partId o por nombre de archivo.
+     * Gmail genera un attachmentId distinto en cada lectura del mensaje, así que
+     * no sirve para encontrar la parte: solo se usa, si se indica, para
+     * descargar el contenido. Con `payload` se reutiliza el mensaje ya leído.
+     * Devuelve { filename, mimeType, content: Buffer }.
+     */
+    async fetchGmailAttachment(messageId, { attachmentId, partId, filename, payload } = {}) {
+        if (!partId && !filename) {
+            throw new Error("Indica 'partId' o 'filename' del adjunto (ver gmail_list_attachments)");
+        }
+
+        if (!payload) {
+            const res = await this.gmail.users.messages.get({
+                userId: "me",
+                id: messageId,
+                format: "full",
+            });
+            payload = res.data.payload;
+        }
+
+        const part = findMimePart(payload, (p) => (partId ? p.partId === partId : p.filename === filename));
+        if (!part) {
+            throw new Error(`No se encontró el adjunto ${partId || filename} en el mensaje ${messageId}`);
+        }
+
+        let data = part.body ? part.body.data : undefined;
+        if (!data) {
+            const attachment = await this.gmail.users.messages.attachments.get({
+                userId: "me",
+                messageId,
+                id: attachmentId || part.body.attachmentId,
+            });
+            data = attachment.data.data;
+        }
+
+        const name = part.filename || filename || "adjunto";
+        return {
+            filename: name,
+            mimeType: part.mimeType || detectMimeType(name),
+            content: decodeBase64Url(data),
+        };
+    }
+
+    async getGmailAttachment(args) {
+        const { messageId, attachmentId, partId, filename, action = "save", driveFolderId } = args;
+        if (!partId && !filename) {
+            throw new Error("Indica 'partId' o 'filename' del adjunto (ver gmail_list_attachments)");
+        }
+
+        const attachment = await this.fetchGmailAttachment(messageId, { attachmentId, partId, filename });
+
+        if (action === "text") {
+            if (!isTextMimeType(attachment.mimeType)) {
+                throw new Error(`El adjunto ${attachment.filename} (${attachment.mimeType}) no es de texto. Usa action 'save' o 'drive'`);
+            }
+            let text = decodeCharset(attachment.content);
+            if (text.length > MAX_TEXT_ATTACHMENT_CHARS) {
+                text = `${text.slice(0, MAX_TEXT_ATTACHMENT_CHARS)}\n\n[... contenido truncado, ${text.length} caracteres en total]`;
+            }
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `Adjunto: ${attachment.filename}\n\n${text}`,
                     },
+                ],
+            };
+        }
+
+        if (action === "drive") {
+            const requestBody = { name: attachment.filename };
+            if (driveFolderId) {
+                requestBody.parents = [driveFolderId];
+            }
+            const res = await this.drive.files.create({
+                requestBody,
+                media: {
+                    mimeType: attachment.mimeType,
+                    body: Readable.from([attachment.content]),
                 },
-                {
-                    name: "calendar_update_event",
-                    description: "Actualiza un evento existente del calendario",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            eventId: {
-                                type: "string",
-                                description: "ID del evento a actualizar",
-                            },
-                            summary: {
-                                type: "string",
-                                description: "Título del evento",
-                            },
-                            description: {
-                                type: "string",
-                                description: "Descripción del evento",
-                            },
-                            startDateTime: {
-                                type: "string",
-                                description: "Fecha y hora de inicio (formato ISO 8601)",
-                            },
-                            endDateTime: {
-                                type: "string",
-                                description: "Fecha y hora de fin (formato ISO 8601)",
-                            },
-                            location: {
-                                type: "string",
-                                description: "Ubicación del evento",
-                            },
-                        },
-                        required: ["eventId"],
+                fields: "id, name, webViewLink",
+            });
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: `Adjunto copiado a Drive exitosamente.\nID: ${res.data.id}\nEnlace: ${res.data.webViewLink}`,
                     },
+                ],
+            };
+        }
+
+        await fs.mkdir(DOWNLOADS_DIR, { recursive: true });
+        const safeName = path.basename(attachment.filename).replace(/[<>:"/\\|?*\x00-\x1f]/g, "_") || "adjunto";
+        const { name, ext } = path.parse(safeName);
+        let filePath = path.join(DOWNLOADS_DIR, safeName);
+        for (let i = 1; await fs.access(filePath).then(() => true, () => false); i++) {
+            filePath = path.join(DOWNLOADS_DIR, `${name} (${i})${ext}`);
+        }
+        await fs.writeFile(filePath, attachment.content);
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `Adjunto guardado exitosamente en ${filePath} (${attachment.content.length} bytes)`,
+                },
+            ],
+        };
+    }
+
+    // Gmail Label Methods
+    async listGmailLabels() {
+        const res = await this.gmail.users.labels.list({ userId: "me" });
+        const labels = (res.data.labels || [])
+            .map((label) => ({ id: label.id, name: label.name, type: label.type }))
+            .sort((a, b) => a.type.localeCompare(b.type) || a.name.localeCompare(b.name));
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify(labels, null, 2),
                 },
+            ],
+        };
+    }
+
+    /**
+     * Traduce nombres o IDs de etiquetas a IDs. Los nombres no distinguen
+     * mayúsculas; las etiquetas del sistema (INBOX, STARRED...) se aceptan tal cual.
+     */
+    async resolveLabelIds(labels = []) {
+        if (labels.length === 0) return [];
+
+        const res = await this.gmail.users.labels.list({ userId: "me" });
+        const existing = res.data.labels || [];
+
+        return labels.map((label) => {
+            const match = existing.find((l) => l.id === label)
+                || existing.find((l) => l.name.toLowerCase() === label.toLowerCase());
+            if (!match) {
+                throw new Error(`No existe la etiqueta "${label}"`);
+            }
+            return match.id;
+        });
+    }
+
+    async createGmailLabel(args) {
+        const { name, backgroundColor, textColor } = args;
+        const requestBody = {
+            name,
+            labelListVisibility: "labelShow",
+            messageListVisibility: "show",
+        };
+        if (backgroundColor || textColor) {
+            requestBody.color = { backgroundColor, textColor };
+        }
+
+        const res = await this.gmail.users.labels.create({
+            userId: "me",
+            requestBody,
+        });
+
+        return {
+            content: [
                 {
-                    name: "calendar_delete_event",
-                    description: "Elimina un evento del calendario",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            eventId: {
-                                type: "string",
-                                description: "ID del evento a eliminar",
-                            },
-                        },
-                        required: ["eventId"],
-                    },
+                    type: "text",
+                    text: `Etiqueta creada exitosamente: ${res.data.name} (ID: ${res.data.id})`,
                 },
+            ],
+        };
+    }
+
+    async renameGmailLabel(args) {
+        const { label, newName } = args;
+        const [labelId] = await this.resolveLabelIds([label]);
+
+        const res = await this.gmail.users.labels.patch({
+            userId: "me",
+            id: labelId,
+            requestBody: { name: newName },
+        });
+
+        return {
+            content: [
                 {
-                    name: "calendar_find_free_slots",
-                    description: "Encuentra espacios libres en el calendario",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            startDate: {
-                                type: "string",
-                                description: "Fecha de inicio para buscar (formato ISO 8601)",
-                            },
-                            endDate: {
-                                type: "string",
-                                description: "Fecha de fin para buscar (formato ISO 8601)",
-                            },
-                            duration: {
-                                type: "number",
-                                description: "Duración deseada en minutos",
-                            },
-                        },
-                        required: ["startDate", "endDate", "duration"],
-                    },
+                    type: "text",
+                    text: `Etiqueta renombrada exitosamente a "${res.data.name}" (ID: ${res.data.id})`,
                 },
-                // Google Docs Tools
+            ],
+        };
+    }
+
+    async deleteGmailLabel(args) {
+        const { label } = args;
+        const [labelId] = await this.resolveLabelIds([label]);
+
+        await this.gmail.users.labels.delete({
+            userId: "me",
+            id: labelId,
+        });
+
+        return {
+            content: [
                 {
-                    name: "docs_create",
-                    description: "Crea un nuevo documento de Google Docs",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            title: {
-                                type: "string",
-                                description: "Título del documento",
-                            },
-                            content: {
-                                type: "string",
-                                description: "Contenido inicial del documento (texto plano)",
-                            },
-                        },
-                        required: ["title"],
-                    },
+                    type: "text",
+                    text: `Etiqueta eliminada exitosamente: ${label}`,
+                },
+            ],
+        };
+    }
+
+    /**
+     * Aplica un cambio de etiquetas (o trash/untrash) a mensajes e hilos.
+     * Los mensajes se modifican con batchModify en bloques de 1000; los hilos, uno a uno.
+     */
+    async modifyMailbox({ messageIds = [], threadIds = [] }, { addLabelIds = [], removeLabelIds = [], trash, untrash }) {
+        if (messageIds.length === 0 && threadIds.length === 0) {
+            throw new Error("Indica 'messageIds' o 'threadIds'");
+        }
+
+        if (trash || untrash) {
+            const method = trash ? "trash" : "untrash";
+            await mapWithConcurrency(messageIds, GMAIL_FETCH_CONCURRENCY, (id) =>
+                this.gmail.users.messages[method]({ userId: "me", id })
+            );
+            await mapWithConcurrency(threadIds, GMAIL_FETCH_CONCURRENCY, (id) =>
+                this.gmail.users.threads[method]({ userId: "me", id })
+            );
+            return;
+        }
+
+        for (let i = 0; i < messageIds.length; i += GMAIL_BATCH_MODIFY_SIZE) {
+            await this.gmail.users.messages.batchModify({
+                userId: "me",
+                requestBody: {
+                    ids: messageIds.slice(i, i + GMAIL_BATCH_MODIFY_SIZE),
+                    addLabelIds,
+                    removeLabelIds,
                 },
+            });
+        }
+        await mapWithConcurrency(threadIds, GMAIL_FETCH_CONCURRENCY, (id) =>
+            this.gmail.users.threads.modify({
+                userId: "me",
+                id,
+                requestBody: { addLabelIds, removeLabelIds },
+            })
+        );
+    }
+
+    async modifyGmailLabels(args) {
+        const { messageIds, threadIds, addLabels = [], removeLabels = [] } = args;
+        if (addLabels.length === 0 && removeLabels.length === 0) {
+            throw new Error("Indica 'addLabels' o 'removeLabels'");
+        }
+
+        const addLabelIds = await this.resolveLabelIds(addLabels);
+        const removeLabelIds = await this.resolveLabelIds(removeLabels);
+        await this.modifyMailbox({ messageIds, threadIds }, { addLabelIds, removeLabelIds });
+
+        const count = (messageIds || []).length + (threadIds || []).length;
+        return {
+            content: [
                 {
-                    name: "docs_get",
-                    description: "Obtiene el contenido de un documento de Google Docs",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            documentId: {
-                                type: "string",
-                                description: "ID del documento a obtener",
-                            },
-                        },
-                        required: ["documentId"],
-                    },
+                    type: "text",
+                    text: `Etiquetas actualizadas exitosamente en ${count} elemento(s)`,
                 },
+            ],
+        };
+    }
+
+    async applyMailboxAction(args) {
+        const { messageIds, threadIds, action } = args;
+        const change = MAILBOX_ACTIONS[action];
+        if (!change) {
+            throw new Error(`Acción desconocida: ${action}`);
+        }
+
+        await this.modifyMailbox({ messageIds, threadIds }, change);
+
+        const count = (messageIds || []).length + (threadIds || []).length;
+        return {
+            content: [
                 {
-                    name: "docs_append_text",
-                    description: "Añade texto al final de un documento",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            documentId: {
-                                type: "string",
-                                description: "ID del documento",
-                            },
-                            text: {
-                                type: "string",
-                                description: "Texto a añadir",
-                            },
-                        },
-                        required: ["documentId", "text"],
+                    type: "text",
+                    text: `Acción '${action}' aplicada exitosamente a ${count} elemento(s)`,
+                },
+            ],
+        };
+    }
+
+    // Recorre todas las páginas de una búsqueda y devuelve los IDs (hasta `limit`)
+    async listAllMessageIds(query, limit = GMAIL_BULK_DEFAULT_LIMIT) {
+        const messages = [];
+        let pageToken;
+
+        do {
+            const res = await this.gmail.users.messages.list({
+                userId: "me",
+                q: query,
+                maxResults: Math.min(GMAIL_MAX_PAGE_SIZE, limit - messages.length),
+                pageToken,
+            });
+            messages.push(...(res.data.messages || []));
+            pageToken = res.data.nextPageToken;
+        } while (pageToken && messages.length < limit);
+
+        return { messages, truncated: Boolean(pageToken) };
+    }
+
+    async bulkModifyGmail(args) {
+        const {
+            action,
+            addLabels = [],
+            removeLabels = [],
+            maxMessages = GMAIL_BULK_DEFAULT_LIMIT,
+            confirm = false,
+        } = args;
+        const query = buildGmailQuery(args);
+
+        if (!query) {
+            throw new Error("Se necesita una búsqueda: no se modifica el buzón completo");
+        }
+        if (!action && addLabels.length === 0 && removeLabels.length === 0) {
+            throw new Error("Indica 'action', 'addLabels' o 'removeLabels'");
+        }
+
+        const change = action ? MAILBOX_ACTIONS[action] : {};
+        if (!change) {
+            throw new Error(`Acción desconocida: ${action}`);
+        }
+
+        // batchModify no tiene trash/untrash: se traducen a la etiqueta TRASH
+        const addLabelIds = [...(change.addLabelIds || []), ...(await this.resolveLabelIds(addLabels))];
+        const removeLabelIds = [...(change.removeLabelIds || []), ...(await this.resolveLabelIds(removeLabels))];
+        if (change.trash) addLabelIds.push("TRASH");
+        if (change.untrash) removeLabelIds.push("TRASH");
+
+        const { messages, truncated } = await this.listAllMessageIds(query, maxMessages);
+        const limitNote = truncated ? ` (limitado a ${maxMessages}; hay más resultados)` : "";
+
+        if (!confirm) {
+            const sample = (await this.fetchMessageSummaries(messages.slice(0, 5).map((m) => m.id)))
+                .map((m) => `- ${m.from || ""}: ${m.subject || "(sin asunto)"}`);
+
+            return {
+                content: [
+                    {
+                        type: "text",
+                        text: [
+                            `Vista previa: ${messages.length} mensaje(s) coinciden con "${query}"${limitNote}.`,
+                            `Cambios: añadir [${addLabelIds.join(", ")}], quitar [${removeLabelIds.join(", ")}]`,
+                            ...(sample.length > 0 ? ["", "Ejemplos:", ...sample] : []),
+                            "",
+                            "Vuelve a llamar con confirm: true para aplicar los cambios.",
+                        ].join("\n"),
                     },
+                ],
+            };
+        }
+
+        if (messages.length > 0) {
+            await this.modifyMailbox(
+                { messageIds: messages.map((m) => m.id) },
+                { addLabelIds, removeLabelIds }
+            );
+        }
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `Cambios aplicados exitosamente a ${messages.length} mensaje(s)${limitNote}`,
                 },
+            ],
+        };
+    }
+
+    // Gmail Settings Methods
+    async listGmailFilters() {
+        const res = await this.gmail.users.settings.filters.list({ userId: "me" });
+
+        return {
+            content: [
                 {
-                    name: "docs_insert_text",
-                    description: "Inserta texto en una posición específica del documento",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            documentId: {
-                                type: "string",
-                                description: "ID del documento",
-                            },
-                            text: {
-                                type: "string",
-                                description: "Texto a insertar",
-                            },
-                            index: {
-                                type: "number",
-                                description: "Posición donde insertar el texto (1 es el inicio del documento)",
-                            },
-                        },
-                        required: ["documentId", "text", "index"],
-                    },
+                    type: "text",
+                    text: JSON.stringify(res.data.filter || [], null, 2),
                 },
+            ],
+        };
+    }
+
+    async createGmailFilter(args) {
+        const {
+            from,
+            to,
+            subject,
+            query,
+            negatedQuery,
+            hasAttachment,
+            addLabels = [],
+            archive,
+            markRead,
+            star,
+            markImportant,
+            trash,
+            neverSpam,
+        } = args;
+
+        const criteria = { from, to, subject, query, negatedQuery, hasAttachment };
+        Object.keys(criteria).forEach((key) => criteria[key] === undefined && delete criteria[key]);
+        if (Object.keys(criteria).length === 0) {
+            throw new Error("El filtro necesita al menos un criterio (from, to, subject, query...)");
+        }
+
+        const addLabelIds = await this.resolveLabelIds(addLabels);
+        const removeLabelIds = [];
+        if (archive) removeLabelIds.push("INBOX");
+        if (markRead) removeLabelIds.push("UNREAD");
+        if (star) addLabelIds.push("STARRED");
+        if (trash) addLabelIds.push("TRASH");
+        if (neverSpam) removeLabelIds.push("SPAM");
+        if (markImportant === true) addLabelIds.push("IMPORTANT");
+        if (markImportant === false) removeLabelIds.push("IMPORTANT");
+
+        if (addLabelIds.length === 0 && removeLabelIds.length === 0) {
+            throw new Error("El filtro necesita al menos una acción (addLabels, archive, markRead...)");
+        }
+
+        const res = await this.gmail.users.settings.filters.create({
+            userId: "me",
+            requestBody: {
+                criteria,
+                action: { addLabelIds, removeLabelIds },
+            },
+        });
+
+        return {
+            content: [
                 {
-                    name: "docs_replace_text",
-                    description: "Reemplaza texto en un documento",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            documentId: {
-                                type: "string",
-                                description: "ID del documento",
-                            },
-                            findText: {
-                                type: "string",
-                                description: "Texto a buscar",
-                            },
-                            replaceText: {
-                                type: "string",
-                                description: "Texto de reemplazo",
-                            },
-                        },
-                        required: ["documentId", "findText", "replaceText"],
-                    },
+                    type: "text",
+                    text: `Filtro creado exitosamente. ID del filtro: ${res.data.id}`,
+                },
+            ],
+        };
+    }
+
+    async deleteGmailFilter(args) {
+        const { filterId } = args;
+        await this.gmail.users.settings.filters.delete({
+            userId: "me",
+            id: filterId,
+        });
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `Filtro eliminado exitosamente. ID del filtro: ${filterId}`,
                 },
+            ],
+        };
+    }
+
+    async getGmailVacation() {
+        const res = await this.gmail.users.settings.getVacation({ userId: "me" });
+        const vacation = { ...res.data };
+
+        // Las fechas vienen en milisegundos; se devuelven también legibles
+        if (vacation.startTime) vacation.startTimeIso = new Date(Number(vacation.startTime)).toISOString();
+        if (vacation.endTime) vacation.endTimeIso = new Date(Number(vacation.endTime)).toISOString();
+
+        return {
+            content: [
                 {
-                    name: "docs_format_text",
-                    description: "Aplica formato a un rango de texto",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            documentId: {
-                                type: "string",
-                                description: "ID del documento",
-                            },
-                            startIndex: {
-                                type: "number",
-                                description: "Índice de inicio del rango",
-                            },
-                            endIndex: {
-                                type: "number",
-                                description: "Índice de fin del rango",
-                            },
-                            bold: {
-                                type: "boolean",
-                                description: "Aplicar negrita",
-                            },
-                            italic: {
-                                type: "boolean",
-                                description: "Aplicar cursiva",
-                            },
-                            fontSize: {
-                                type: "number",
-                                description: "Tamaño de fuente en puntos",
-                            },
-                        },
-                        required: ["documentId", "startIndex", "endIndex"],
-                    },
+                    type: "text",
+                    text: JSON.stringify(vacation, null, 2),
                 },
+            ],
+        };
+    }
+
+    async setGmailVacation(args) {
+        const { enabled, subject, message, html, startTime, endTime, restrictToContacts, restrictToDomain } = args;
+
+        if (enabled && !message && !html) {
+            throw new Error("Indica 'message' o 'html' para activar la respuesta automática");
+        }
+
+        const toMillis = (value, field) => {
+            if (!value) return undefined;
+            const time = new Date(value).getTime();
+            if (Number.isNaN(time)) {
+                throw new Error(`Fecha inválida en '${field}': ${value}`);
+            }
+            return String(time);
+        };
+
+        const requestBody = {
+            enableAutoReply: enabled,
+            responseSubject: subject,
+            responseBodyPlainText: message ?? (html ? htmlToText(html) : undefined),
+            responseBodyHtml: html,
+            startTime: toMillis(startTime, "startTime"),
+            endTime: toMillis(endTime, "endTime"),
+            restrictToContacts,
+            restrictToDomain,
+        };
+
+        // Al desactivar se conserva el resto de la configuración
+        if (!enabled) {
+            const current = await this.gmail.users.settings.getVacation({ userId: "me" });
+            Object.assign(requestBody, { ...current.data, enableAutoReply: false });
+        }
+
+        await this.gmail.users.settings.updateVacation({
+            userId: "me",
+            requestBody,
+        });
+
+        return {
+            content: [
                 {
-                    name: "docs_list_recent",
-                    description: "Lista documentos recientes de Google Docs",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            maxResults: {
-                                type: "number",
-                                description: "Máximo de documentos a retornar (default: 10)",
-                                default: 10,
-                            },
-                        },
-                    },
+                    type: "text",
+                    text: enabled
+                        ? "Respuesta automática activada exitosamente"
+                        : "Respuesta automática desactivada exitosamente",
                 },
+            ],
+        };
+    }
+
+    // Gmail Template Methods
+    async saveGmailTemplate(args) {
+        const { name, subject, body, html } = args;
+        if (body === undefined && !html) {
+            throw new Error("Indica 'body' o 'html'");
+        }
+
+        const templates = await readJsonFile(TEMPLATES_PATH, {});
+        templates[name] = { subject, body, html, updatedAt: new Date().toISOString() };
+        await writeJsonFile(TEMPLATES_PATH, templates);
+
+        return {
+            content: [
                 {
-                    name: "docs_share",
-                    description: "Comparte un documento con otros usuarios",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            documentId: {
-                                type: "string",
-                                description: "ID del documento",
-                            },
-                            email: {
-                                type: "string",
-                                description: "Email del usuario con quien compartir",
-                            },
-                            role: {
-                                type: "string",
-                                description: "Rol: 'reader', 'writer', o 'commenter'",
-                                enum: ["reader", "writer", "commenter"],
-                            },
-                        },
-                        required: ["documentId", "email", "role"],
-                    },
+                    type: "text",
+                    text: `Plantilla "${name}" guardada exitosamente`,
                 },
-                // 🆕 GOOGLE FIT TOOLS
+            ],
+        };
+    }
+
+    async listGmailTemplates() {
+        const templates = await readJsonFile(TEMPLATES_PATH, {});
+        const list = Object.entries(templates).map(([name, template]) => {
+            const text = [template.subject, template.body, template.html].filter(Boolean).join("\n");
+            const placeholders = [...new Set([...text.matchAll(/\{\{\s*([\w.\-]+)\s*\}\}/g)].map((m) => m[1]))];
+            return { name, subject: template.subject, placeholders, updatedAt: template.updatedAt };
+        });
+
+        return {
+            content: [
                 {
-                    name: "fit_get_activity_summary",
-                    description: "Obtiene datos agregados de pasos y actividad física en un período. Usa milisegundos de Unix para el tiempo.",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            startTimeMillis: {
-                                type: "number",
-                                description: "Tiempo de inicio del período a consultar (Milisegundos de Unix).",
-                            },
-                            endTimeMillis: {
-                                type: "number",
-                                description: "Tiempo de fin del período a consultar (Milisegundos de Unix).",
-                            },
-                        },
-                        required: ["startTimeMillis", "endTimeMillis"],
-                    },
+                    type: "text",
+                    text: JSON.stringify(list, null, 2),
                 },
+            ],
+        };
+    }
+
+    async deleteGmailTemplate(args) {
+        const { name } = args;
+        const templates = await readJsonFile(TEMPLATES_PATH, {});
+        if (!templates[name]) {
+            throw new Error(`No existe la plantilla "${name}"`);
+        }
+        delete templates[name];
+        await writeJsonFile(TEMPLATES_PATH, templates);
+
+        return {
+            content: [
                 {
-                    name: "fit_record_activity_session",
-                    description: "Registra manualmente una sesión de actividad física (ej: correr, caminar) en Google Fit.",
-                    inputSchema: {
-                        type: "object",
-                        properties: {
-                            activityType: {
-                                type: "string",
-                                description: "Tipo de actividad (ej: 'running', 'walking', 'yoga'). Usa los códigos de la API de Fit.",
-                            },
-                            durationMinutes: {
-                                type: "number",
-                                description: "Duración de la actividad en minutos.",
-                            },
-                            startTimeMillis: {
-                                type: "number",
-                                description: "Tiempo de inicio de la actividad (Milisegundos de Unix).",
-                            },
-                        },
-                        required: ["activityType", "durationMinutes", "startTimeMillis"],
-                    },
+                    type: "text",
+                    text: `Plantilla "${name}" eliminada exitosamente`,
                 },
             ],
-        }));
+        };
+    }
 
-        this.server.setRequestHandler(CallToolRequestSchema, async (request) => {
-            const { name, arguments: args } = request.params;
+    // Filas de destinatarios desde un CSV local o un rango de Google Sheets
+    async loadMergeRows({ csvPath, spreadsheetId, range }) {
+        if (csvPath) {
+            // Igual que los adjuntos locales: solo desde la carpeta de adjuntos
+            const filePath = await this.resolveAttachmentPath(csvPath);
+            return parseCsv(await fs.readFile(filePath, "utf-8"));
+        }
+        if (spreadsheetId) {
+            let sheetRange = range;
+            if (!sheetRange) {
+                const meta = await this.sheets.spreadsheets.get({
+                    spreadsheetId,
+                    fields: "sheets.properties.title",
+                });
+                sheetRange = meta.data.sheets[0].properties.title;
+            }
+            const res = await this.sheets.spreadsheets.values.get({
+                spreadsheetId,
+                range: sheetRange,
+            });
+            return rowsToObjects(res.data.values || []);
+        }
+        throw new Error("Indica 'csvPath' o 'spreadsheetId' con los destinatarios");
+    }
+
+    async mailMerge(args) {
+        const {
+            template: templateName,
+            csvPath,
+            spreadsheetId,
+            range,
+            emailColumn = "email",
+            mode = "draft",
+            attachments,
+            from,
+            includeSignature = true,
+        } = args;
+
+        const templates = await readJsonFile(TEMPLATES_PATH, {});
+        const template = templates[templateName];
+        if (!template) {
+            throw new Error(`No existe la plantilla "${templateName}"`);
+        }
+
+        const rows = await this.loadMergeRows({ csvPath, spreadsheetId, range });
+        if (rows.length === 0) {
+            throw new Error("La lista de destinatarios está vacía");
+        }
+        if (rows.length > MAIL_MERGE_MAX_ROWS) {
+            throw new Error(`La lista tiene ${rows.length} filas y el máximo es ${MAIL_MERGE_MAX_ROWS}`);
+        }
+
+        const emailKey = Object.keys(rows[0]).find((key) => key.toLowerCase() === emailColumn.toLowerCase());
+        if (!emailKey) {
+            throw new Error(`No se encontró la columna "${emailColumn}". Columnas: ${Object.keys(rows[0]).join(", ")}`);
+        }
+
+        // El remitente y los adjuntos son comunes a todas las filas: se resuelven una sola vez
+        const sender = await this.resolveSendAs(from);
+        const resolved = await this.resolveAttachments(attachments);
+        const results = [];
 
+        for (const [index, row] of rows.entries()) {
+            const to = row[emailKey];
             try {
-                // Verificar token antes de cada operación
-                await this.ensureValidToken();
+                const missing = new Set();
+                const subject = renderTemplate(template.subject, row, { missing });
+                const body = renderTemplate(template.body, row, { missing });
+                const html = renderTemplate(template.html, row, { html: true, missing });
+                if (missing.size > 0) {
+                    throw new Error(`Faltan valores para: ${[...missing].join(", ")}`);
+                }
 
-                switch (name) {
-                    // Gmail handlers
-                    case "gmail_list_messages":
-                        return await this.listGmailMessages(args);
-                    case "gmail_get_message":
-                        return await this.getGmailMessage(args);
-                    case "gmail_send_message":
-                        return await this.sendGmailMessage(args);
-                    case "gmail_create_draft":
-                        return await this.createGmailDraft(args);
+                const { message } = await this.composeMessage({
+                    to,
+                    subject,
+                    body,
+                    html,
+                    includeSignature,
+                    sender,
+                    resolvedAttachments: resolved,
+                });
+                const res = mode === "send"
+                    ? await this.sendRawMessage(message)
+                    : await this.saveRawDraft(message);
+                results.push({ row: index + 1, to, status: "ok", id: res.data.id });
+            } catch (error) {
+                results.push({ row: index + 1, to, status: "error", error: error.message });
+            }
+        }
 
-                    // Calendar handlers
-                    case "calendar_list_events":
-                        return await this.listCalendarEvents(args);
-                    case "calendar_create_event":
-                        return await this.createCalendarEvent(args);
-                    case "calendar_update_event":
-                        return await this.updateCalendarEvent(args);
-                    case "calendar_delete_event":
-                        return await this.deleteCalendarEvent(args);
-                    case "calendar_find_free_slots":
-                        return await this.findFreeSlots(args);
+        const ok = results.filter((r) => r.status === "ok").length;
+        const action = mode === "send" ? "enviados" : "creados como borrador";
+        const summary = `${ok} de ${results.length} emails ${action}`;
 
-                    // Google Docs handlers
-                    case "docs_create":
-                        return await this.createDoc(args);
-                    case "docs_get":
-                        return await this.getDoc(args);
-                    case "docs_append_text":
-                        return await this.appendText(args);
-                    case "docs_insert_text":
-                        return await this.insertText(args);
-                    case "docs_replace_text":
-                        return await this.replaceText(args);
-                    case "docs_format_text":
-                        return await this.formatText(args);
-                    case "docs_list_recent":
-                        return await this.listRecentDocs(args);
-                    case "docs_share":
-                        return await this.shareDoc(args);
-                    // 🆕 GOOGLE FIT HANDLERS
-                    case "fit_get_activity_summary":
-                        return await this.getActivitySummary(args);
-                    case "fit_record_activity_session":
-                        return await this.recordActivitySession(args);
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `${summary}\n\n${JSON.stringify(results, null, 2)}`,
+                },
+            ],
+        };
+    }
 
-                    default:
-                        throw new Error(`Herramienta desconocida: ${name}`);
+    // Gmail Analytics Methods
+    async getInboxStats(args) {
+        const { after, before, days = 7, top = 10, maxMessages = 1000 } = args;
+        const periodStart = after || new Date(Date.now() - days * 86400000).toISOString();
+        const query = buildGmailQuery({ after: periodStart, before });
+
+        const { messages, truncated } = await this.listAllMessageIds(query, maxMessages);
+        const summaries = await this.fetchMessageSummaries(messages.map((m) => m.id));
+        const details = summaries.map((summary) => ({
+            ...summary,
+            time: summary.internalDate,
+            from: extractEmail(summary.from || ""),
+            subject: summary.subject || "(sin asunto)",
+        }));
+
+        const ownAddresses = await this.getOwnAddresses();
+        const isSent = (m) => m.labelIds.includes("SENT") || ownAddresses.has(m.from);
+        const received = details.filter((m) => !isSent(m));
+
+        // Volumen por remitente y por etiqueta
+        const bySender = new Map();
+        for (const message of received) {
+            bySender.set(message.from, (bySender.get(message.from) || 0) + 1);
+        }
+
+        const labelsRes = await this.gmail.users.labels.list({ userId: "me" });
+        const labelNames = new Map((labelsRes.data.labels || []).map((l) => [l.id, l.name]));
+        const byLabel = new Map();
+        for (const message of details) {
+            for (const labelId of message.labelIds) {
+                const name = labelNames.get(labelId) || labelId;
+                byLabel.set(name, (byLabel.get(name) || 0) + 1);
+            }
+        }
+
+        // Tiempo de respuesta: desde el primer mensaje recibido sin contestar hasta nuestra siguiente respuesta
+        const threads = new Map();
+        for (const message of details) {
+            if (!threads.has(message.threadId)) threads.set(message.threadId, []);
+            threads.get(message.threadId).push(message);
+        }
+
+        const responseTimes = [];
+        let unanswered = 0;
+        for (const threadMessages of threads.values()) {
+            threadMessages.sort((a, b) => a.time - b.time);
+            let pendingSince = null;
+            for (const message of threadMessages) {
+                if (!isSent(message)) {
+                    pendingSince = pendingSince ?? message.time;
+                } else if (pendingSince !== null) {
+                    responseTimes.push(message.time - pendingSince);
+                    pendingSince = null;
                 }
-            } catch (error) {
-                console.error(`Error en ${name}:`, error.message);
-                return {
-                    content: [
-                        {
-                            type: "text",
-                            text: `Error: ${error.message}`,
-                        },
-                    ],
-                    isError: true,
-                };
             }
-        });
-    }
+            if (pendingSince !== null) unanswered += 1;
+        }
 
-    // Gmail Methods
-    async listGmailMessages(args) {
-        const { query = "", maxResults = 10 } = args;
-        const res = await this.gmail.users.messages.list({
-            userId: "me",
-            q: query,
-            maxResults,
-        });
+        const topThreads = [...threads.entries()]
+            .map(([threadId, threadMessages]) => ({
+                threadId,
+                subject: threadMessages[0].subject,
+                messages: threadMessages.length,
+            }))
+            .sort((a, b) => b.messages - a.messages)
+            .slice(0, top);
 
-        const messages = res.data.messages || [];
-        const messageDetails = await Promise.all(
-            messages.slice(0, 5).map(async (msg) => {
-                const detail = await this.gmail.users.messages.get({
-                    userId: "me",
-                    id: msg.id,
-                    format: "metadata",
-                    metadataHeaders: ["From", "Subject", "Date"],
-                });
-                return {
-                    id: msg.id,
-                    threadId: msg.threadId,
-                    headers: detail.data.payload.headers,
-                    snippet: detail.data.snippet,
-                };
-            })
-        );
+        // Los no leídos pendientes no dependen del período: es el estado actual de la bandeja
+        const backlog = await this.listAllMessageIds("in:inbox is:unread", maxMessages);
+        const backlogMessages = await this.fetchMessageSummaries(backlog.messages.map((m) => m.id));
+        const now = Date.now();
+        const backlogAges = backlogMessages.map((m) => now - m.internalDate);
+
+        const stats = {
+            period: {
+                after: periodStart,
+                before: before || new Date(now).toISOString(),
+                query,
+            },
+            totals: {
+                messages: details.length,
+                received: received.length,
+                sent: details.length - received.length,
+                threads: threads.size,
+                truncated,
+            },
+            topSenders: [...bySender.entries()]
+                .map(([sender, count]) => ({ sender, count }))
+                .sort((a, b) => b.count - a.count)
+                .slice(0, top),
+            byLabel: Object.fromEntries([...byLabel.entries()].sort((a, b) => b[1] - a[1])),
+            unreadBacklog: {
+                count: backlog.messages.length,
+                truncated: backlog.truncated,
+                oldestHours: toHours(backlogAges.length ? Math.max(...backlogAges) : null),
+                medianHours: toHours(median(backlogAges)),
+                lessThan1Day: backlogAges.filter((age) => age < 86400000).length,
+                from1To7Days: backlogAges.filter((age) => age >= 86400000 && age < 7 * 86400000).length,
+                moreThan7Days: backlogAges.filter((age) => age >= 7 * 86400000).length,
+            },
+            responseTime: {
+                replies: responseTimes.length,
+                medianHours: toHours(median(responseTimes)),
+                averageHours: toHours(responseTimes.length
+                    ? responseTimes.reduce((sum, t) => sum + t, 0) / responseTimes.length
+                    : null),
+                threadsAwaitingReply: unanswered,
+            },
+            topThreads,
+        };
 
         return {
             content: [
                 {
                     type: "text",
-                    text: JSON.stringify(messageDetails, null, 2),
+                    text: JSON.stringify(stats, null, 2),
                 },
             ],
         };
     }
 
-    async getGmailMessage(args) {
-        const { messageId } = args;
-        const res = await this.gmail.users.messages.get({
-            userId: "me",
-            id: messageId,
-            format: "full",
+    async findUnansweredThreads(args) {
+        const {
+            days = 3,
+            lookbackDays = 30,
+            maxThreads = 100,
+            createDrafts = false,
+            followUpMessage = DEFAULT_FOLLOW_UP_MESSAGE,
+        } = args;
+
+        const query = `in:sent newer_than:${Math.max(1, Math.floor(lookbackDays))}d`;
+        const { messages } = await this.listAllMessageIds(query, maxThreads * 3);
+        const threadIds = [...new Set(messages.map((m) => m.threadId))].slice(0, maxThreads);
+        const ownAddresses = await this.getOwnAddresses();
+        const cutoff = Date.now() - days * 86400000;
+
+        const threads = await mapWithConcurrency(threadIds, GMAIL_FETCH_CONCURRENCY, async (threadId) => {
+            const res = await this.gmail.users.threads.get({
+                userId: "me",
+                id: threadId,
+                format: "metadata",
+                metadataHeaders: ["From", "To", "Cc", "Subject"],
+            });
+            return res.data;
         });
 
+        const pending = [];
+        for (const thread of threads) {
+            // Los borradores no cuentan como último mensaje del hilo
+            const threadMessages = (thread.messages || [])
+                .filter((m) => !(m.labelIds || []).includes("DRAFT"))
+                .sort((a, b) => Number(a.internalDate) - Number(b.internalDate));
+            const last = threadMessages[threadMessages.length - 1];
+            if (!last) continue;
+            const draft = (thread.messages || []).find((m) => (m.labelIds || []).includes("DRAFT"));
+
+            const headers = last.payload.headers;
+            const lastFromMe = ownAddresses.has(extractEmail(getHeader(headers, "From") || ""));
+            const sentAt = Number(last.internalDate);
+            if (!lastFromMe || sentAt > cutoff) continue;
+
+            const recipients = [...splitAddressList(getHeader(headers, "To")), ...splitAddressList(getHeader(headers, "Cc"))]
+                .filter((address) => !ownAddresses.has(extractEmail(address)));
+            if (recipients.length === 0) continue;
+
+            pending.push({
+                threadId: thread.id,
+                lastMessageId: last.id,
+                subject: getHeader(headers, "Subject") || "(sin asunto)",
+                recipients,
+                sentAt: new Date(sentAt).toISOString(),
+                daysWaiting: Math.floor((Date.now() - sentAt) / 86400000),
+                messagesInThread: threadMessages.length,
+                draftMessageId: draft ? draft.id : undefined,
+            });
+        }
+
+        pending.sort((a, b) => b.daysWaiting - a.daysWaiting);
+
+        // Hilos que ya tienen un borrador: se informa su ID en vez de crear otro
+        if (pending.some((entry) => entry.draftMessageId)) {
+            const draftIds = new Map();
+            let pageToken;
+            do {
+                const res = await this.gmail.users.drafts.list({
+                    userId: "me",
+                    maxResults: GMAIL_MAX_PAGE_SIZE,
+                    pageToken,
+                });
+                for (const draft of res.data.drafts || []) {
+                    draftIds.set(draft.message.id, draft.id);
+                }
+                pageToken = res.data.nextPageToken;
+            } while (pageToken);
+
+            for (const entry of pending) {
+                if (entry.draftMessageId) {
+                    entry.draftId = draftIds.get(entry.draftMessageId);
+                    entry.existingDraft = true;
+                }
+                delete entry.draftMessageId;
+            }
+        }
+
+        if (createDrafts) {
+            for (const entry of pending) {
+                if (entry.existingDraft) continue;
+                try {
+                    const { message, threadId } = await this.composeReply({
+                        messageId: entry.lastMessageId,
+                        body: followUpMessage,
+                        replyAll: true,
+                    });
+                    const res = await this.saveRawDraft(message, { threadId });
+                    entry.draftId = res.data.id;
+                } catch (error) {
+                    entry.draftError = error.message;
+                }
+            }
+        }
+
         return {
             content: [
                 {
                     type: "text",
-                    text: JSON.stringify(res.data, null, 2),
+                    text: `${pending.length} hilo(s) sin respuesta desde hace más de ${days} día(s)\n\n${JSON.stringify(pending, null, 2)}`,
                 },
             ],
         };
     }
 
-    async sendGmailMessage(args) {
-        const { to, subject, body } = args;
-        const message = [
-            `To: ${to}`,
-            `Subject: ${subject}`,
-            "",
-            body,
-        ].join("\n");
-
-        const encodedMessage = Buffer.from(message)
-            .toString("base64")
-            .replace(/\+/g, "-")
-            .replace(/\//g, "_")
-            .replace(/=+$/, "");
+    // Gmail Newsletter Methods
+    async scanNewsletters(args) {
+        const { days = 30, maxMessages = 500 } = args;
+        const { messages, truncated } = await this.listAllMessageIds(`newer_than:${Math.max(1, Math.floor(days))}d`, maxMessages);
 
-        const res = await this.gmail.users.messages.send({
-            userId: "me",
-            requestBody: {
-                raw: encodedMessage,
-            },
+        const details = await this.fetchMessageSummaries(messages.map((m) => m.id), {
+            headers: ["List-Unsubscribe", "List-Unsubscribe-Post", "List-Id"],
         });
 
+        const senders = new Map();
+        for (const message of details) {
+            const { headers } = message;
+            const listUnsubscribe = headers["list-unsubscribe"];
+            const listId = headers["list-id"];
+            if (!listUnsubscribe && !listId) continue;
+
+            const from = message.from || "";
+            const email = extractEmail(from);
+            if (!senders.has(email)) {
+                senders.set(email, {
+                    sender: email,
+                    name: from.replace(/\s*<[^>]+>$/, "").replace(/^"|"$/g, ""),
+                    listId: listId || null,
+                    count: 0,
+                    unread: 0,
+                    lastDate: null,
+                    oneClick: false,
+                    mailto: false,
+                    url: false,
+                });
+            }
+
+            const entry = senders.get(email);
+            entry.count += 1;
+            if (message.labelIds.includes("UNREAD")) entry.unread += 1;
+            const date = new Date(message.internalDate).toISOString();
+            if (!entry.lastDate || date > entry.lastDate) entry.lastDate = date;
+
+            const targets = parseListUnsubscribe(listUnsubscribe);
+            entry.mailto = entry.mailto || Boolean(targets.mailto);
+            entry.url = entry.url || Boolean(targets.http);
+            entry.oneClick = entry.oneClick
+                || Boolean(targets.http && /one-click/i.test(headers["list-unsubscribe-post"] || ""));
+        }
+
+        const result = {
+            scannedMessages: messages.length,
+            truncated,
+            senders: [...senders.values()].sort((a, b) => b.count - a.count),
+        };
+
         return {
             content: [
                 {
                     type: "text",
-                    text: `Email enviado exitosamente. ID del mensaje: ${res.data.id}`,
+                    text: JSON.stringify(result, null, 2),
                 },
             ],
         };
     }
 
-    async createGmailDraft(args) {
-        const { to, subject, body } = args;
-        const message = [
-            `To: ${to}`,
-            `Subject: ${subject}`,
-            "",
-            body,
-        ].join("\n");
+    async unsubscribeFromList(args) {
+        const { sender, messageId, archiveFuture = false } = args;
+        if (!sender && !messageId) {
+            throw new Error("Indica 'sender' o 'messageId'");
+        }
 
-        const encodedMessage = Buffer.from(message)
-            .toString("base64")
-            .replace(/\+/g, "-")
-            .replace(/\//g, "_")
-            .replace(/=+$/, "");
+        let ids = messageId ? [messageId] : [];
+        if (!messageId) {
+            const res = await this.gmail.users.messages.list({
+                userId: "me",
+                q: `from:${extractEmail(sender)}`,
+                maxResults: UNSUBSCRIBE_SCAN_MESSAGES,
+            });
+            if (!res.data.messages || res.data.messages.length === 0) {
+                throw new Error(`No se encontraron emails de ${sender}`);
+            }
+            ids = res.data.messages.map((m) => m.id);
+        }
 
-        const res = await this.gmail.users.drafts.create({
-            userId: "me",
-            requestBody: {
-                message: {
-                    raw: encodedMessage,
+        // El email más reciente puede ser transaccional y no traer la cabecera: se usa el primero que la tenga
+        const candidates = await this.fetchMessageSummaries(ids, { headers: ["List-Unsubscribe", "List-Unsubscribe-Post"] });
+        if (candidates.length === 0) {
+            throw new Error(`No se encontró el email ${messageId}`);
+        }
+        const detail = candidates.find((m) => m.headers["list-unsubscribe"]) || candidates[0];
+        const { headers } = detail;
+        const senderEmail = extractEmail(detail.from || sender);
+        const targets = parseListUnsubscribe(headers["list-unsubscribe"]);
+        const oneClick = /one-click/i.test(headers["list-unsubscribe-post"] || "");
+
+        const lines = [];
+        if (targets.http && oneClick && targets.http.startsWith("https:")) {
+            // RFC 8058: POST con el cuerpo fijo List-Unsubscribe=One-Click
+            const res = await fetch(targets.http, {
+                method: "POST",
+                headers: { "Content-Type": "application/x-www-form-urlencoded" },
+                body: "List-Unsubscribe=One-Click",
+                redirect: "follow",
+                signal: AbortSignal.timeout(UNSUBSCRIBE_TIMEOUT),
+            });
+            if (!res.ok) {
+                throw new Error(`La baja one-click de ${senderEmail} respondió con HTTP ${res.status}`);
+            }
+            lines.push(`Baja one-click solicitada exitosamente para ${senderEmail}`);
+        } else if (targets.mailto) {
+            const mailto = new URL(targets.mailto);
+            const fromAlias = await this.resolveSendAs();
+            const message = buildMimeMessage({
+                from: formatSender(fromAlias),
+                to: decodeURIComponent(mailto.pathname),
+                subject: mailto.searchParams.get("subject") || "unsubscribe",
+                body: mailto.searchParams.get("body") || "unsubscribe",
+            });
+            await this.sendRawMessage(message);
+            lines.push(`Email de baja enviado a ${decodeURIComponent(mailto.pathname)} para ${senderEmail}`);
+        } else if (targets.http) {
+            lines.push(`${senderEmail} no admite la baja automática. Visita este enlace para darte de baja: ${targets.http}`);
+        } else {
+            throw new Error(`Los emails de ${senderEmail} no incluyen la cabecera List-Unsubscribe`);
+        }
+
+        if (archiveFuture) {
+            const res = await this.gmail.users.settings.filters.create({
+                userId: "me",
+                requestBody: {
+                    criteria: { from: senderEmail },
+                    action: { removeLabelIds: ["INBOX"] },
                 },
-            },
-        });
+            });
+            lines.push(`Filtro creado para archivar los emails futuros de ${senderEmail}. ID del filtro: ${res.data.id}`);
+        }
 
         return {
             content: [
                 {
                     type: "text",
-                    text: `Borrador creado exitosamente. ID del borrador: ${res.data.id}`,
+                    text: lines.join("\n"),
                 },
             ],
         };
     }
 
     // Calendar Methods
+    async listCalendars() {
+        const res = await this.calendar.calendarList.list();
+        const calendars = (res.data.items || []).map((cal) => ({
+            id: cal.id,
+            summary: cal.summaryOverride || cal.summary,
+            primary: Boolean(cal.primary),
+            accessRole: cal.accessRole,
+            timeZone: cal.timeZone,
+        }));
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: JSON.stringify(calendars, null, 2),
+                },
+            ],
+        };
+    }
+
+    // Calendarios a consultar: `calendarIds` si se indica, si no `calendarId` o el principal
+    resolveCalendarIds({ calendarId, calendarIds }) {
+        if (calendarIds && calendarIds.length > 0) {
+            return [...new Set(calendarIds)];
+        }
+        return [calendarId || "primary"];
+    }
+
+    // Eventos de varios calendarios combinados y ordenados por inicio
+    async listEventsAcrossCalendars(calendarIds, params) {
+        const results = await mapWithConcurrency(calendarIds, CALENDAR_FETCH_CONCURRENCY, async (calendarId) => {
+            const res = await this.calendar.events.list({
+                calendarId,
+                singleEvents: true,
+                orderBy: "startTime",
+                ...params,
+            });
+            return (res.data.items || []).map((event) => ({ ...event, calendarId }));
+        });
+
+        const startOf = (event) => new Date(event.start.dateTime || event.start.date).getTime();
+        return results.flat().sort((a, b) => startOf(a) - startOf(b));
+    }
+
     async listCalendarEvents(args) {
         const { maxResults = 10, timeMin, timeMax } = args;
-        const res = await this.calendar.events.list({
-            calendarId: "primary",
-            timeMin: timeMin || new Date().toISOString(),
-            timeMax: timeMax,
+        const calendarIds = this.resolveCalendarIds(args);
+        const timeZone = this.resolveTimeZone(args.timeZone);
+
+        // La API devuelve las horas de los eventos en la zona pedida
+        const events = (await this.listEventsAcrossCalendars(calendarIds, {
+            timeMin: timeMin ? parseDateInZone(timeMin, timeZone).toISOString() : new Date().toISOString(),
+            timeMax: timeMax ? parseDateInZone(timeMax, timeZone).toISOString() : undefined,
+            timeZone,
             maxResults,
-            singleEvents: true,
-            orderBy: "startTime",
+        })).slice(0, maxResults);
+
+        const withConference = events.map((event) => {
+            const conference = getConferenceInfo(event);
+            return conference ? { ...event, conference } : event;
         });
 
-        const events = res.data.items || [];
         return {
             content: [
                 {
                     type: "text",
-                    text: JSON.stringify(events, null, 2),
+                    text: JSON.stringify(withConference, null, 2),
                 },
             ],
         };
     }
 
+    /**
+     * Líneas de `recurrence` de un evento. Una nueva regla reemplaza la RRULE
+     * existente; las exclusiones se añaden a las que ya hubiera.
+     */
+    buildEventRecurrence({ recurrence, rrule, exdates }, event, timeZone, current = []) {
+        const allDay = Boolean(event.start.date);
+        const eventTimeZone = event.start.timeZone || timeZone;
+        const options = { allDay, timeZone: eventTimeZone };
+        let lines = [...(current || [])];
+
+        if (recurrence || rrule) {
+            const rule = recurrence
+                ? buildRRule(recurrence, options)
+                : `RRULE:${rrule.replace(/^RRULE:/i, "")}`;
+            lines = [rule, ...lines.filter((line) => !/^RRULE:/i.test(line))];
+        }
+
+        if (exdates && exdates.length > 0) {
+            if (!lines.some((line) => /^RRULE:/i.test(line))) {
+                throw new Error("Solo se pueden excluir fechas de un evento que se repite");
+            }
+            const startLocal = allDay
+                ? event.start.date
+                : formatDateInZone(parseDateInZone(event.start.dateTime, eventTimeZone), eventTimeZone);
+            lines.push(buildExdate(exdates, { ...options, startLocal }));
+        }
+
+        return lines;
+    }
+
     async createCalendarEvent(args) {
-        const { summary, description, startDateTime, endDateTime, location, attendees } = args;
+        const { calendarId = "primary", summary, description, location, attendees, addMeet } = args;
+        const timeZone = this.resolveTimeZone(args.timeZone);
+
+        const times = buildEventTimes(args, timeZone);
+        if (!times.start || !times.end) {
+            throw new Error("Indica 'startDateTime' y 'endDateTime', o 'startDate' para un evento de día completo");
+        }
 
         const event = {
             summary,
             description,
             location,
-            start: {
-                dateTime: startDateTime,
-                timeZone: "America/Montevideo",
-            },
-            end: {
-                dateTime: endDateTime,
-                timeZone: "America/Montevideo",
-            },
+            ...times,
         };
 
+        const recurrence = this.buildEventRecurrence(args, event, timeZone);
+        if (recurrence.length > 0) {
+            event.recurrence = recurrence;
+        }
+
         if (attendees && attendees.length > 0) {
             event.attendees = attendees.map((email) => ({ email }));
         }
 
+        if (addMeet) {
+            event.conferenceData = {
+                createRequest: {
+                    requestId: crypto.randomUUID(),
+                    conferenceSolutionKey: { type: "hangoutsMeet" },
+                },
+            };
+        }
+
+        // Sin conferenceDataVersion la API ignora conferenceData
         const res = await this.calendar.events.insert({
-            calendarId: "primary",
+            calendarId,
             requestBody: event,
+            conferenceDataVersion: addMeet ? 1 : 0,
         });
 
+        let text = `Evento creado exitosamente. ID del evento: ${res.data.id}\nEnlace: ${res.data.htmlLink}`;
+        if (addMeet) {
+            const conference = getConferenceInfo(res.data);
+            text += conference && conference.joinUrl
+                ? `\nVideollamada: ${conference.joinUrl}`
+                : "\nLa videollamada de Meet se está creando; consulta el evento con calendar_list_events en unos segundos";
+        }
+
         return {
             content: [
                 {
                     type: "text",
-                    text: `Evento creado exitosamente. ID del evento: ${res.data.id}\nEnlace: ${res.data.htmlLink}`,
+                    text,
                 },
             ],
         };
     }
 
-    async updateCalendarEvent(args) {
-        const { eventId, summary, description, startDateTime, endDateTime, location } = args;
+    // Aplica los cambios de calendar_update_event sobre una copia del evento
+    applyEventChanges(base, args, timeZone, times = buildEventTimes(args, timeZone)) {
+        const { summary, description, location } = args;
+        const event = {
+            ...base,
+            summary: summary || base.summary,
+            description: description || base.description,
+            location: location || base.location,
+        };
 
-        // Get existing event first
-        const existing = await this.calendar.events.get({
-            calendarId: "primary",
-            eventId,
+        Object.assign(event, times);
+
+        if (args.recurrence || args.rrule || (args.exdates && args.exdates.length > 0)) {
+            event.recurrence = this.buildEventRecurrence(args, event, timeZone, base.recurrence);
+        }
+
+        return event;
+    }
+
+    // Devuelve el evento y, si es una repetición, el evento principal de su serie
+    async getEventWithSeries(calendarId, eventId, scope) {
+        const { data: event } = await this.calendar.events.get({ calendarId, eventId });
+
+        if (!event.recurringEventId) {
+            if (event.recurrence && (scope === "instance" || scope === "following")) {
+                throw new Error(
+                    "El ID corresponde a la serie completa: usa el ID de la repetición (calendar_list_events) o scope 'series'"
+                );
+            }
+            return { event, master: null };
+        }
+
+        const { data: master } = await this.calendar.events.get({
+            calendarId,
+            eventId: event.recurringEventId,
         });
+        return { event, master };
+    }
 
-        const event = {
-            ...existing.data,
-            summary: summary || existing.data.summary,
-            description: description || existing.data.description,
-            location: location || existing.data.location,
+    /**
+     * Prepara el corte de la serie justo antes de la repetición indicada: la
+     * recurrencia que termina la serie original (UNTIL) y la de la serie que la
+     * continúa. No modifica nada. Devuelve null si la repetición es la primera,
+     * en cuyo caso equivale a toda la serie.
+     */
+    async planSeriesSplit(calendarId, instance, master, timeZone) {
+        const zone = master.start.timeZone || timeZone;
+        const cut = instance.originalStartTime;
+        const cutDate = eventTimeToDate(cut, zone);
+        const seriesStart = eventTimeToDate(master.start, zone);
+        if (cutDate.getTime() <= seriesStart.getTime()) {
+            return null;
+        }
+
+        const lines = master.recurrence || [];
+        const rule = lines.find((line) => /^RRULE:/i.test(line));
+        const others = lines.filter((line) => !/^RRULE:/i.test(line));
+        if (!rule) {
+            throw new Error("La serie no tiene una regla RRULE que se pueda cortar");
+        }
+        let nextRule = rule;
+
+        // Con COUNT, la serie nueva solo conserva las repeticiones que faltaban
+        const count = rule.match(/COUNT=(\d+)/i);
+        if (count) {
+            const previous = await this.calendar.events.instances({
+                calendarId,
+                eventId: master.id,
+                timeMin: seriesStart.toISOString(),
+                timeMax: cutDate.toISOString(),
+                showDeleted: true,
+                maxResults: 2500,
+            });
+            const remaining = Math.max(1, Number(count[1]) - (previous.data.items || []).length);
+            nextRule = replaceRRuleEnd(rule, `COUNT=${remaining}`);
+        }
+
+        const until = cut.date
+            ? `UNTIL=${toICalDate(addDays(cut.date, -1))}`
+            : `UNTIL=${toICalDate(new Date(cutDate.getTime() - 1000).toISOString().slice(0, 19))}Z`;
+
+        return {
+            zone,
+            cut,
+            cutLabel: cut.date || formatDateInZone(cutDate, zone),
+            truncated: [replaceRRuleEnd(rule, until), ...others],
+            recurrence: [nextRule, ...others],
         };
+    }
 
-        if (startDateTime) {
-            event.start = {
-                dateTime: startDateTime,
-                timeZone: "America/Montevideo",
-            };
+    async updateCalendarEvent(args) {
+        const { calendarId = "primary", eventId, scope } = args;
+        const timeZone = this.resolveTimeZone(args.timeZone);
+        const changesRecurrence = args.recurrence || args.rrule || (args.exdates && args.exdates.length > 0);
+
+        // Get existing event first
+        const { event: existing, master } = await this.getEventWithSeries(calendarId, eventId, scope);
+
+        if (master && scope === "following") {
+            const split = await this.planSeriesSplit(calendarId, existing, master, timeZone);
+            if (split) {
+                return await this.continueEventSeries(calendarId, master, split, args, timeZone);
+            }
         }
 
-        if (endDateTime) {
-            event.end = {
-                dateTime: endDateTime,
-                timeZone: "America/Montevideo",
-            };
+        if (master && (scope === "following" || scope === "series")) {
+            return await this.updateEventSeries(calendarId, existing, master, args, timeZone);
+        }
+
+        if (master && changesRecurrence) {
+            throw new Error("Para cambiar la repetición usa scope 'following' o 'series'");
         }
 
+        const event = this.applyEventChanges(existing, args, timeZone);
+
         const res = await this.calendar.events.update({
-            calendarId: "primary",
+            calendarId,
             eventId,
             requestBody: event,
         });
@@ -932,10 +5421,139 @@ class GoogleWorkspaceMCPServer {
         };
     }
 
+    /**
+     * Aplica los cambios a toda la serie. Las nuevas horas se indican para la
+     * repetición elegida y se trasladan al resto con el mismo desplazamiento.
+     */
+    async updateEventSeries(calendarId, instance, master, args, timeZone) {
+        const zone = master.start.timeZone || timeZone;
+        const requested = buildEventTimes(args, timeZone);
+        const original = {
+            start: instance.originalStartTime,
+            end: shiftEventTime(
+                instance.originalStartTime,
+                eventTimeToDate(master.end, zone) - eventTimeToDate(master.start, zone),
+                zone
+            ),
+        };
+
+        const times = {};
+        for (const key of ["start", "end"]) {
+            if (!requested[key]) continue;
+            if (Boolean(requested[key].date) !== Boolean(master[key].date)) {
+                throw new Error("No se puede cambiar toda una serie entre día completo y con hora");
+            }
+            const offset = eventTimeToDate(requested[key], timeZone) - eventTimeToDate(original[key], zone);
+            times[key] = shiftEventTime(master[key], offset, zone);
+        }
+
+        const event = this.applyEventChanges(master, args, timeZone, times);
+
+        const res = await this.calendar.events.update({
+            calendarId,
+            eventId: master.id,
+            requestBody: event,
+        });
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `Serie actualizada exitosamente. ID de la serie: ${res.data.id}`,
+                },
+            ],
+        };
+    }
+
+    /**
+     * Corta la serie y crea la que la continúa con los cambios aplicados. La
+     * serie nueva se valida antes de tocar la original, y si no se puede crear
+     * se restaura la recurrencia original para no perder repeticiones.
+     */
+    async continueEventSeries(calendarId, master, split, args, timeZone) {
+        const { zone, cut, cutLabel, recurrence } = split;
+        const start = cut.date ? { date: cut.date } : { dateTime: cut.dateTime, timeZone: zone };
+        const duration = eventTimeToDate(master.end, zone) - eventTimeToDate(master.start, zone);
+
+        const base = { ...master, start, end: shiftEventTime(start, duration, zone), recurrence };
+        for (const field of ["id", "iCalUID", "etag", "htmlLink", "created", "updated", "sequence", "hangoutLink"]) {
+            delete base[field];
+        }
+
+        // La serie nueva conserva la videollamada de la original
+        if (base.conferenceData) {
+            const { createRequest, ...conferenceData } = base.conferenceData;
+            base.conferenceData = conferenceData;
+        }
+
+        const event = this.applyEventChanges(base, args, timeZone);
+
+        await this.calendar.events.patch({
+            calendarId,
+            eventId: master.id,
+            requestBody: { recurrence: split.truncated },
+        });
+
+        let res;
+        try {
+            res = await this.calendar.events.insert({
+                calendarId,
+                requestBody: event,
+                conferenceDataVersion: event.conferenceData ? 1 : 0,
+            });
+        } catch (error) {
+            await this.calendar.events.patch({
+                calendarId,
+                eventId: master.id,
+                requestBody: { recurrence: master.recurrence },
+            });
+            throw error;
+        }
+
+        return {
+            content: [
+                {
+                    type: "text",
+                    text: `Serie dividida exitosamente. Las repeticiones desde ${cutLabel} forman la serie ${res.data.id}; la serie ${master.id} termina antes.`,
+                },
+            ],
+        };
+    }
+
     async deleteCalendarEvent(args) {
-        const { eventId } = args;
+        const { calendarId = "primary", scope } = args;
+        let { eventId } = args;
+
+        if (scope) {
+            const { event, master } = await this.getEventWithSeries(calendarId, eventId, scope);
+
+            if (master && scope === "following") {
+                const timeZone = this.resolveTimeZone(args.timeZone);
+                const split = await this.planSeriesSplit(calendarId, event, master, timeZone);
+                if (split) {
+                    await this.calendar.events.patch({
+                        calendarId,
+                        eventId: master.id,
+                        requestBody: { recurrence: split.truncated },
+                    });
+                    return {
+                        content: [
+                            {
+                                type: "text",
+                                text: `Repeticiones eliminadas desde ${split.cutLabel}. La serie ${master.id} termina antes.`,
+                            },
+                        ],
+                    };
+                }
+            }
+
+            if (master && scope !== "instance") {
+                eventId = master.id;
+            }
+        }
+
         await this.calendar.events.delete({
-            calendarId: "primary",
+            calendarId,
             eventId,
         });
 
@@ -949,49 +5567,130 @@ class GoogleWorkspaceMCPServer {
         };
     }
 
+    /**
+     * Busca huecos comunes con freebusy.query: la API ya descarta los eventos
+     * marcados como "libre" (transparentes) y los rechazados, y los de día
+     * completo solo ocupan el día si están marcados como "ocupado".
+     */
     async findFreeSlots(args) {
-        const { startDate, endDate, duration } = args;
-
-        const res = await this.calendar.events.list({
-            calendarId: "primary",
-            timeMin: startDate,
-            timeMax: endDate,
-            singleEvents: true,
-            orderBy: "startTime",
+        const {
+            startDate,
+            endDate,
+            duration,
+            attendees = [],
+            workingHoursStart = "09:00",
+            workingHoursEnd = "18:00",
+            workingDays = ["MO", "TU", "WE", "TH", "FR"],
+            bufferMinutes = 0,
+            stepMinutes = 30,
+            maxResults = 20,
+        } = args;
+        const timeZone = this.resolveTimeZone(args.timeZone);
+        const rangeStart = parseDateInZone(startDate, timeZone);
+        const rangeEnd = parseDateInZone(endDate, timeZone);
+
+        if (!(duration > 0) || !(stepMinutes > 0)) {
+            throw new Error("'duration' y 'stepMinutes' deben ser mayores que 0");
+        }
+        if (rangeEnd <= rangeStart) {
+            throw new Error("'endDate' debe ser posterior a 'startDate'");
+        }
+        const dayStart = parseWorkingTime(workingHoursStart);
+        const dayEnd = parseWorkingTime(workingHoursEnd);
+        if (dayEnd <= dayStart) {
+            throw new Error("'workingHoursEnd' debe ser posterior a 'workingHoursStart'");
+        }
+        const days = new Set(
+            workingDays.map((day) => {
+                const code = WEEKDAY_CODES[String(day).trim().toUpperCase()];
+                if (!code) {
+                    throw new Error(`Día de la semana inválido: ${day}`);
+                }
+                return code;
+            })
+        );
+
+        // Un hueco debe estar libre en todos los calendarios y para todos los asistentes
+        const ids = [...new Set([...this.resolveCalendarIds(args), ...attendees])];
+        const batches = [];
+        for (let i = 0; i < ids.length; i += FREEBUSY_MAX_ITEMS) {
+            batches.push(ids.slice(i, i + FREEBUSY_MAX_ITEMS));
+        }
+        const results = await mapWithConcurrency(batches, CALENDAR_FETCH_CONCURRENCY, async (batch) => {
+            const res = await this.calendar.freebusy.query({
+                requestBody: {
+                    timeMin: rangeStart.toISOString(),
+                    timeMax: rangeEnd.toISOString(),
+                    timeZone,
+                    items: batch.map((id) => ({ id })),
+                },
+            });
+            return res.data.calendars || {};
         });
 
-        const events = res.data.items || [];
-        const freeSlots = [];
-        let currentTime = new Date(startDate);
-        const endTime = new Date(endDate);
-
-        for (const event of events) {
-            const eventStart = new Date(event.start.dateTime || event.start.date);
-            const eventEnd = new Date(event.end.dateTime || event.end.date);
-            if (eventStart - currentTime >= duration * 60000) {
-                freeSlots.push({
-                    start: currentTime.toISOString(),
-                    end: eventStart.toISOString(),
-                    duration: Math.floor((eventStart - currentTime) / 60000),
-                });
+        const buffer = bufferMinutes * 60000;
+        const busy = [];
+        const unavailable = [];
+        for (const calendars of results) {
+            for (const [id, info] of Object.entries(calendars)) {
+                if (info.errors && info.errors.length > 0) {
+                    // Sin acceso al calendario no se puede asegurar que esté libre
+                    unavailable.push({ calendar: id, reason: info.errors.map((error) => error.reason).join(", ") });
+                    continue;
+                }
+                for (const period of info.busy || []) {
+                    busy.push({
+                        start: new Date(period.start).getTime() - buffer,
+                        end: new Date(period.end).getTime() + buffer,
+                    });
+                }
             }
+        }
+        const blocks = mergeIntervals(busy);
 
-            currentTime = eventEnd > currentTime ? eventEnd : currentTime;
+        const length = duration * 60000;
+        const step = stepMinutes * 60000;
+        const slots = [];
+        let blockIndex = 0;
+        const lastDay = formatDayInZone(rangeEnd, timeZone);
+
+        for (let day = formatDayInZone(rangeStart, timeZone); day <= lastDay && slots.length < maxResults; day = addDays(day, 1)) {
+            const weekday = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"][new Date(`${day}T00:00:00Z`).getUTCDay()];
+            if (!days.has(weekday)) continue;
+
+            // Los candidatos se alinean a 'stepMinutes' desde el inicio de la jornada
+            const workStart = parseDateInZone(`${day}T${dayStart}`, timeZone).getTime();
+            const windowEnd = Math.min(parseDateInZone(`${day}T${dayEnd}`, timeZone).getTime(), rangeEnd.getTime());
+            const alignTo = (time) => workStart + Math.max(0, Math.ceil((time - workStart) / step)) * step;
+            let candidate = alignTo(rangeStart.getTime());
+
+            while (candidate + length <= windowEnd && slots.length < maxResults) {
+                while (blockIndex < blocks.length && blocks[blockIndex].end <= candidate) {
+                    blockIndex++;
+                }
+                const block = blocks[blockIndex];
+                if (block && block.start < candidate + length) {
+                    candidate = alignTo(block.end);
+                    continue;
+                }
+                slots.push({
+                    start: formatDateInZone(new Date(candidate), timeZone),
+                    end: formatDateInZone(new Date(candidate + length), timeZone),
+                });
+                candidate += step;
+            }
         }
 
-        if (endTime - currentTime >= duration * 60000) {
-            freeSlots.push({
-                start: currentTime.toISOString(),
-                end: endTime.toISOString(),
-                duration: Math.floor((endTime - currentTime) / 60000),
-            });
+        const result = { timeZone, duration, slots };
+        if (unavailable.length > 0) {
+            result.unavailable = unavailable;
         }
 
         return {
             content: [
                 {
                     type: "text",
-                    text: JSON.stringify(freeSlots, null, 2),
+                    text: JSON.stringify(result, null, 2),
                 },
             ],
         };
@@ -1252,6 +5951,7 @@ class GoogleWorkspaceMCPServer {
     // Google Fit Methods
     async getActivitySummary(args) {
         const { startTimeMillis, endTimeMillis } = args;
+        const timeZone = this.resolveTimeZone(args.timeZone);
 
         const bucketDuration = 86400000; // 1 día en milisegundos
 
@@ -1276,7 +5976,7 @@ class GoogleWorkspaceMCPServer {
             const calories = caloriesData && caloriesData.point.length ? caloriesData.point[0].value[0].fpVal : 0;
 
             return {
-                date: new Date(parseInt(bucket.startTimeMillis)).toISOString().split('T')[0],
+                date: formatDayInZone(new Date(parseInt(bucket.startTimeMillis)), timeZone),
                 steps: steps,
                 caloriesExpended: Math.round(calories),
             };
@@ -1345,6 +6045,7 @@ class GoogleWorkspaceMCPServer {
         await this.initialize();
         const transport = new StdioServerTransport();
         await this.server.connect(transport);
+        this.startOutboxTimer();
         console.error("✅ Google Workspace MCP Server running on stdio");
     }
 }